@@ -5,14 +5,22 @@ const YAML = require('yamljs');
 const path = require('path');
 require('dotenv').config();
 
-const { testConnection } = require('./config/database');
-const { testRedisConnection } = require('./config/redis');
+const { sequelize, testConnection } = require('./config/database');
+const { closeAllConnections, getConnectionHealth, testRedisConnection } = require('./config/redis');
 const { syncDatabase } = require('./models');
+const { closeHttpServer, setupGracefulShutdown, waitFor } = require('./utils/shutdown');
+const StreamTrimmer = require('./services/streamTrimmer');
+const OutboxRelay = require('./services/outboxRelay');
+const { getSchemaRegistry } = require('./services/schemaRegistry');
+const { requestContextMiddleware } = require('./utils/requestContext');
+const { metricsHandler } = require('./utils/metrics');
 
 // Import routes
 const userRoutes = require('./routes/users');
 const eventRoutes = require('./routes/events');
 const monitoringRoutes = require('./routes/monitoring');
+const replayRoutes = require('./routes/replays');
+const schemaRoutes = require('./routes/schemas');
 
 // Load Swagger YAML
 const swaggerDocument = YAML.load(path.join(__dirname, '../swagger.yaml'));
@@ -25,9 +33,12 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Correlation ID for every event published while handling the request
+app.use(requestContextMiddleware);
+
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path} [${req.correlationId}]`);
   next();
 });
 
@@ -43,7 +54,8 @@ app.get('/health', async (req, res) => {
       services: {
         database: dbStatus ? 'connected' : 'disconnected',
         redis: redisStatus ? 'connected' : 'disconnected'
-      }
+      },
+      redisConnections: getConnectionHealth()
     });
   } catch (error) {
     res.status(500).json({
@@ -54,6 +66,9 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Prometheus metrics
+app.get('/metrics', metricsHandler);
+
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -72,6 +87,8 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
 app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/monitoring', monitoringRoutes);
+app.use('/api/replays', replayRoutes);
+app.use('/api/schemas', schemaRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -80,9 +97,12 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
       users: '/api/users',
       events: '/api/events',
       monitoring: '/api/monitoring',
+      replays: '/api/replays',
+      schemas: '/api/schemas',
       documentation: '/api-docs'
     },
     documentation: {
@@ -103,6 +123,20 @@ app.get('/', (req, res) => {
         'GET /api/events/processed': 'Get processed events',
         'GET /api/events/stats': 'Get event statistics',
         'GET /api/events/info': 'Get available streams and event types'
+      },
+      replays: {
+        'POST /api/replays': 'Replay a stream range through the event handlers',
+        'GET /api/replays': 'List replay jobs',
+        'GET /api/replays/:id': 'Get replay job progress',
+        'DELETE /api/replays/:id': 'Cancel replay job'
+      },
+      schemas: {
+        'GET /api/schemas': 'List event schemas',
+        'POST /api/schemas': 'Register an event schema',
+        'GET /api/schemas/:eventType': 'Get event schema',
+        'PUT /api/schemas/:eventType': 'Replace event schema',
+        'DELETE /api/schemas/:eventType': 'Remove event schema',
+        'POST /api/schemas/:eventType/validate': 'Check a payload against a schema'
       }
     }
   });
@@ -136,29 +170,43 @@ const startServer = async () => {
     
     // Sync database models
     await syncDatabase();
+
+    // Register schemas for built-in event types that have none yet
+    await getSchemaRegistry().seedDefaults();
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📖 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
       console.log(`📋 API Root: http://localhost:${PORT}/`);
     });
+
+    // Apply stream retention policies in the background
+    const streamTrimmer = new StreamTrimmer();
+    if (process.env.RETENTION_TRIMMER_ENABLED !== 'false') {
+      streamTrimmer.start();
+    }
+
+    // Publish events queued in the outbox by user changes
+    const outboxRelay = new OutboxRelay();
+    if (process.env.OUTBOX_RELAY_ENABLED !== 'false') {
+      outboxRelay.start();
+    }
+
+    // Handle graceful shutdown
+    setupGracefulShutdown([
+      { name: 'HTTP server closed', run: (gracePeriod) => closeHttpServer(server, gracePeriod) },
+      { name: 'Outbox relay stopped', run: (gracePeriod) => waitFor(outboxRelay.stop(), gracePeriod) },
+      { name: 'Replay jobs stopped', run: (gracePeriod) => waitFor(replayRoutes.replayService.stop(), gracePeriod) },
+      { name: 'Stream trimmer stopped', run: (gracePeriod) => waitFor(streamTrimmer.stop(), gracePeriod) },
+      { name: 'Redis connections closed', run: () => closeAllConnections() },
+      { name: 'Database connection closed', run: () => sequelize.close() }
+    ], { label: 'server' });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
   }
 };
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down server gracefully...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down server gracefully...');
-  process.exit(0);
-});
-
 startServer();
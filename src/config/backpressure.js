@@ -0,0 +1,64 @@
+require('dotenv').config();
+
+// Turn producer backpressure off entirely
+const BACKPRESSURE_ENABLED = process.env.BACKPRESSURE_ENABLED !== 'false';
+// How long a stream's backpressure check is reused before Redis is asked again
+const BACKPRESSURE_CHECK_INTERVAL = parseInt(process.env.BACKPRESSURE_CHECK_INTERVAL_MS) || 1000;
+// Longest a caller may ask to wait for a throttled stream (Prefer: wait=<seconds>)
+const BACKPRESSURE_MAX_WAIT = parseInt(process.env.BACKPRESSURE_MAX_WAIT_MS) || 30000;
+// Retry-After sent with a rejected publish, unless the policy sets its own
+const BACKPRESSURE_RETRY_AFTER = parseInt(process.env.BACKPRESSURE_RETRY_AFTER_MS) || 5000;
+
+// Group lag limits shared by the policies below
+const DEFAULT_LAG_LIMITS = {
+  maxLag: parseInt(process.env.BACKPRESSURE_MAX_LAG) || 10000,
+  maxLagMs: parseInt(process.env.BACKPRESSURE_MAX_LAG_MS) || 5 * 60 * 1000,
+  minLag: parseInt(process.env.BACKPRESSURE_MIN_LAG) || 100,
+  activeWithinMs: parseInt(process.env.BACKPRESSURE_ACTIVE_WITHIN_MS) || 5 * 60 * 1000
+};
+
+// Backpressure policy per stream. Publishing is refused while the stream
+// holds more than maxLength entries, or any consumer group lags by more
+// than maxLag entries or maxLagMs (see utils/consumerLag.js); unset limits
+// aren't checked. maxLagMs only applies to groups at least minLag entries
+// behind. Groups with no active consumer (no heartbeat, and no consumer
+// seen by Redis within activeWithinMs) are abandoned and never count. statusCode is 429 when callers should slow down and 503
+// when the stream's consumers are overloaded. Streams not listed here are
+// never throttled.
+const BACKPRESSURE_POLICIES = {
+  'user:events': {
+    ...DEFAULT_LAG_LIMITS,
+    statusCode: 503
+  },
+  'chat:messages': {
+    ...DEFAULT_LAG_LIMITS,
+    maxLength: parseInt(process.env.CHAT_BACKPRESSURE_MAX_LENGTH) || 100000,
+    statusCode: 429
+  },
+  'task:queue': {
+    ...DEFAULT_LAG_LIMITS,
+    statusCode: 503,
+    retryAfterMs: 30000
+  }
+};
+
+/**
+ * Get the backpressure policy for a stream
+ * @param {string} streamName - Name of the stream
+ * @returns {Object|null} Policy, or null if the stream is never throttled
+ */
+const getBackpressurePolicy = (streamName) => {
+  if (!BACKPRESSURE_ENABLED) {
+    return null;
+  }
+  return BACKPRESSURE_POLICIES[streamName] || null;
+};
+
+module.exports = {
+  BACKPRESSURE_ENABLED,
+  BACKPRESSURE_CHECK_INTERVAL,
+  BACKPRESSURE_MAX_WAIT,
+  BACKPRESSURE_RETRY_AFTER,
+  BACKPRESSURE_POLICIES,
+  getBackpressurePolicy
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+// Handlers run by each consumer group, as registered event types or
+// patterns (see services/handlerRegistry.js). A group's consumers and
+// replays targeting the group run only these handlers. Groups not listed
+// here run every registered handler.
+const CONSUMER_GROUP_HANDLERS = {
+  'user-processing-group': ['user.created', 'user.updated', 'user.deleted'],
+  'chat-processing-group': ['message.sent'],
+  'task-processing-group': ['task.created', 'task.completed']
+};
+
+/**
+ * Get the handler patterns a consumer group runs
+ * @param {string} groupName - Name of the consumer group
+ * @returns {Array<string>|null} Patterns, or null if the group runs every handler
+ */
+const getGroupHandlers = (groupName) => CONSUMER_GROUP_HANDLERS[groupName] || null;
+
+module.exports = {
+  CONSUMER_GROUP_HANDLERS,
+  getGroupHandlers
+};
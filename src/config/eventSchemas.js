@@ -0,0 +1,99 @@
+// Default JSON Schemas for the built-in event types. They are seeded into
+// the event_schemas table on startup when no schema is registered for the
+// type yet; after that the table (managed through /api/schemas) is the
+// source of truth.
+const DEFAULT_EVENT_SCHEMAS = {
+  'user.created': {
+    type: 'object',
+    required: ['userId', 'username', 'email'],
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string', minLength: 1 },
+      email: { type: 'string', minLength: 3 },
+      status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+      createdAt: { type: 'string' }
+    }
+  },
+  'user.updated': {
+    type: 'object',
+    required: ['userId', 'changes'],
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+      changes: { type: 'object' },
+      updatedAt: { type: 'string' }
+    }
+  },
+  'user.deleted': {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: { type: 'string' },
+      username: { type: 'string' },
+      deletedAt: { type: 'string' }
+    }
+  },
+  'message.sent': {
+    type: 'object',
+    required: ['messageId', 'senderId', 'receiverId', 'content'],
+    properties: {
+      messageId: { type: 'string' },
+      senderId: { type: 'string' },
+      receiverId: { type: 'string' },
+      content: { type: 'string', minLength: 1 },
+      roomId: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  },
+  'task.created': {
+    type: 'object',
+    required: ['taskId', 'title', 'assignedTo', 'createdBy'],
+    properties: {
+      taskId: { type: 'string' },
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      priority: { type: 'string' },
+      assignedTo: { type: 'string' },
+      createdBy: { type: 'string' },
+      dueDate: { type: ['string', 'null'] }
+    }
+  },
+  'task.completed': {
+    type: 'object',
+    required: ['taskId', 'completedBy'],
+    properties: {
+      taskId: { type: 'string' },
+      completedBy: { type: 'string' },
+      completionNotes: { type: 'string' },
+      completedAt: { type: 'string' }
+    }
+  },
+  'system.error': {
+    type: 'object',
+    required: ['level', 'message'],
+    properties: {
+      level: { type: 'string' },
+      message: { type: 'string' },
+      metadata: { type: 'object' },
+      timestamp: { type: 'string' },
+      service: { type: 'string' }
+    }
+  },
+  'system.info': {
+    type: 'object',
+    required: ['level', 'message'],
+    properties: {
+      level: { type: 'string' },
+      message: { type: 'string' },
+      metadata: { type: 'object' },
+      timestamp: { type: 'string' },
+      service: { type: 'string' }
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_EVENT_SCHEMAS
+};
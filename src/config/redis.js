@@ -1,7 +1,7 @@
 const Redis = require('ioredis');
 require('dotenv').config();
 
-const redis = new Redis({
+const connectionOptions = {
   host: process.env.REDIS_HOST || 'localhost',
   port: process.env.REDIS_PORT || 6379,
   password: process.env.REDIS_PASSWORD || undefined,
@@ -9,21 +9,127 @@ const redis = new Redis({
   enableReadyCheck: false,
   maxRetriesPerRequest: null,
   lazyConnect: true
-});
+};
+
+// Connection roles. Blocking reads (XREAD/XREADGROUP BLOCK) hold their
+// connection until they return, so they never share one with other commands.
+const CONNECTION_ROLES = {
+  COMMAND: 'command',
+  PUBLISHER: 'publisher',
+  ADMIN: 'admin',
+  BLOCKING: 'blocking'
+};
+
+// Every connection handed out, keyed by connection name
+const connections = new Map();
+
+/**
+ * Create a tracked Redis connection
+ * @param {string} role - One of CONNECTION_ROLES
+ * @param {string} name - Connection name (shown in CLIENT LIST and health output)
+ * @returns {Redis} ioredis client
+ */
+const createConnection = (role, name) => {
+  const client = new Redis({ ...connectionOptions, connectionName: name });
+
+  // Redis connection event handlers
+  client.on('connect', () => {
+    console.log(`✅ Redis connected successfully (${name})`);
+    console.log(`🔗 Redis connection details: ${connectionOptions.host}:${connectionOptions.port}`);
+  });
+
+  client.on('error', (error) => {
+    console.error(`❌ Redis connection error (${name}):`, error);
+  });
+
+  client.on('close', () => {
+    console.log(`🔌 Redis connection closed (${name})`);
+  });
+
+  client.on('end', () => {
+    if (connections.has(name) && connections.get(name).client === client) {
+      connections.delete(name);
+    }
+  });
+
+  connections.set(name, { role, client, createdAt: new Date() });
+  return client;
+};
+
+/**
+ * Get the shared connection for a non-blocking role
+ * @param {string} role - CONNECTION_ROLES.COMMAND, PUBLISHER or ADMIN
+ * @returns {Redis} ioredis client
+ */
+const getRedisConnection = (role = CONNECTION_ROLES.COMMAND) => {
+  if (role === CONNECTION_ROLES.BLOCKING) {
+    throw new Error('Blocking connections are dedicated; use createBlockingConnection()');
+  }
 
-// Redis connection event handlers
-redis.on('connect', () => {
-  console.log('✅ Redis connected successfully');
-  console.log(`🔗 Redis connection details: ${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`);
-});
+  const existing = connections.get(role);
+  return existing ? existing.client : createConnection(role, role);
+};
 
-redis.on('error', (error) => {
-  console.error('❌ Redis connection error:', error);
-});
+/**
+ * Create a dedicated connection for a blocking consumer
+ * @param {string} name - Consumer name, used in the connection name
+ * @returns {Redis} ioredis client
+ */
+const createBlockingConnection = (name) => {
+  let connectionName = `${CONNECTION_ROLES.BLOCKING}:${name}`;
+  if (connections.has(connectionName)) {
+    connectionName = `${connectionName}:${Date.now()}`;
+  }
+  return createConnection(CONNECTION_ROLES.BLOCKING, connectionName);
+};
 
-redis.on('close', () => {
-  console.log('🔌 Redis connection closed');
-});
+/**
+ * Close a connection and stop tracking it
+ * @param {Redis} client - ioredis client
+ */
+const releaseConnection = (client) => {
+  for (const [name, connection] of connections) {
+    if (connection.client === client) {
+      connections.delete(name);
+    }
+  }
+
+  // A blocked command would hold QUIT back until it returns
+  client.disconnect();
+};
+
+/**
+ * Report the state of every open connection
+ * @returns {Array<Object>} Array of { name, role, status, connected, createdAt }
+ */
+const getConnectionHealth = () => {
+  return [...connections.entries()].map(([name, { role, client, createdAt }]) => ({
+    name,
+    role,
+    status: client.status,
+    connected: client.status === 'ready' || client.status === 'connect',
+    createdAt: createdAt.toISOString()
+  }));
+};
+
+/**
+ * Close every connection, letting pending replies arrive first
+ */
+const closeAllConnections = async () => {
+  const open = [...connections.values()];
+  connections.clear();
+
+  await Promise.all(open.map(async ({ role, client }) => {
+    if (role === CONNECTION_ROLES.BLOCKING || client.status !== 'ready') {
+      client.disconnect();
+      return;
+    }
+    await client.quit();
+  }));
+};
+
+// Default connection for regular commands
+const redis = getRedisConnection(CONNECTION_ROLES.COMMAND);
 
 // Test Redis connection
 const testRedisConnection = async () => {
@@ -37,4 +143,13 @@ const testRedisConnection = async () => {
   }
 };
 
-module.exports = { redis, testRedisConnection };
+module.exports = {
+  redis,
+  CONNECTION_ROLES,
+  getRedisConnection,
+  createBlockingConnection,
+  releaseConnection,
+  getConnectionHealth,
+  closeAllConnections,
+  testRedisConnection
+};
@@ -0,0 +1,77 @@
+require('dotenv').config();
+
+// Retention strategies
+const RETENTION_STRATEGIES = {
+  // Keep at most maxLen entries
+  MAX_LENGTH: 'maxlen',
+  // Drop entries older than maxAgeMs (XTRIM MINID)
+  MAX_AGE: 'maxage',
+  // Drop only entries every consumer group has acknowledged
+  ACKNOWLEDGED: 'acked'
+};
+
+// Retention policy per stream. Policies marked inline are also applied
+// on every XADD with an approximate (~) MAXLEN/MINID; all policies are
+// applied by the background trimmer (src/services/streamTrimmer.js).
+// Entries of streams marked archive are copied to the stream_archive
+// table before they are trimmed, so those streams are never trimmed inline.
+// Streams not listed here are never trimmed.
+const RETENTION_POLICIES = {
+  'user:events': {
+    strategy: RETENTION_STRATEGIES.ACKNOWLEDGED,
+    archive: true
+  },
+  'chat:messages': {
+    strategy: RETENTION_STRATEGIES.MAX_AGE,
+    maxAgeMs: parseInt(process.env.CHAT_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000,
+    archive: true
+  },
+  'task:queue': {
+    strategy: RETENTION_STRATEGIES.ACKNOWLEDGED,
+    archive: true
+  },
+  'system:logs': {
+    strategy: RETENTION_STRATEGIES.MAX_LENGTH,
+    maxLen: parseInt(process.env.SYSTEM_LOGS_MAXLEN) || 10000,
+    inline: true
+  }
+};
+
+// How often the background trimmer runs
+const RETENTION_TRIM_INTERVAL = parseInt(process.env.RETENTION_TRIM_INTERVAL_MS) || 60000;
+
+/**
+ * Get the retention policy for a stream
+ * @param {string} streamName - Name of the stream
+ * @returns {Object|null} Policy, or null if the stream is never trimmed
+ */
+const getRetentionPolicy = (streamName) => RETENTION_POLICIES[streamName] || null;
+
+/**
+ * Build the XADD trimming arguments for a stream's inline policy
+ * @param {string} streamName - Name of the stream
+ * @returns {Array} Arguments to place before the entry ID (empty if the policy isn't inline)
+ */
+const getInlineTrimArgs = (streamName) => {
+  const policy = getRetentionPolicy(streamName);
+  if (!policy || !policy.inline || policy.archive) {
+    return [];
+  }
+
+  if (policy.strategy === RETENTION_STRATEGIES.MAX_LENGTH) {
+    return ['MAXLEN', '~', policy.maxLen];
+  }
+  if (policy.strategy === RETENTION_STRATEGIES.MAX_AGE) {
+    return ['MINID', '~', Date.now() - policy.maxAgeMs];
+  }
+  // Acknowledgement state is too expensive to check on every XADD
+  return [];
+};
+
+module.exports = {
+  RETENTION_STRATEGIES,
+  RETENTION_POLICIES,
+  RETENTION_TRIM_INTERVAL,
+  getRetentionPolicy,
+  getInlineTrimArgs
+};
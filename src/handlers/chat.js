@@ -0,0 +1,16 @@
+const { EVENT_TYPES } = require('../utils/streamUtils');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Chat event handlers
+ * @param {HandlerRegistry} registry - Registry to register handlers with
+ */
+module.exports = (registry) => {
+  registry.register(EVENT_TYPES.MESSAGE_SENT, async (payload, context) => {
+    console.log(`💬 [${context.consumer}] Message sent from ${payload.senderId} to ${payload.receiverId}`);
+    console.log(`📄 [${context.consumer}] Content: ${payload.content}`);
+    // e.g., real-time notifications, message indexing, etc.
+    await sleep(Math.random() * 300);
+  });
+};
@@ -0,0 +1,21 @@
+const { EVENT_TYPES } = require('../utils/streamUtils');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * System log event handlers
+ * @param {HandlerRegistry} registry - Registry to register handlers with
+ */
+module.exports = (registry) => {
+  registry.register(EVENT_TYPES.SYSTEM_ERROR, async (payload, context) => {
+    console.error(`🚨 [${context.consumer}] System Error: ${payload.message}`);
+    console.error(`📊 [${context.consumer}] Metadata:`, payload.metadata);
+    // e.g., alert monitoring system, log to external service, etc.
+    await sleep(Math.random() * 200);
+  });
+
+  registry.register(EVENT_TYPES.SYSTEM_INFO, async (payload, context) => {
+    console.log(`ℹ️ [${context.consumer}] System Info: ${payload.message}`);
+    await sleep(Math.random() * 100);
+  });
+};
@@ -0,0 +1,23 @@
+const { EVENT_TYPES } = require('../utils/streamUtils');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Task event handlers
+ * @param {HandlerRegistry} registry - Registry to register handlers with
+ */
+module.exports = (registry) => {
+  registry.register(EVENT_TYPES.TASK_CREATED, async (payload, context) => {
+    console.log(`📋 [${context.consumer}] Task created: ${payload.title}`);
+    console.log(`👤 [${context.consumer}] Assigned to: ${payload.assignedTo}`);
+    // e.g., send notification to assignee, update dashboard, etc.
+    await sleep(Math.random() * 600);
+  });
+
+  registry.register(EVENT_TYPES.TASK_COMPLETED, async (payload, context) => {
+    console.log(`✅ [${context.consumer}] Task completed: ${payload.taskId}`);
+    console.log(`👤 [${context.consumer}] Completed by: ${payload.completedBy}`);
+    // e.g., update project status, send completion notification, etc.
+    await sleep(Math.random() * 400);
+  });
+};
@@ -0,0 +1,29 @@
+const { EVENT_TYPES } = require('../utils/streamUtils');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * User event handlers
+ * @param {HandlerRegistry} registry - Registry to register handlers with
+ */
+module.exports = (registry) => {
+  registry.register(EVENT_TYPES.USER_CREATED, async (payload, context) => {
+    console.log(`👤 [${context.consumer}] User created: ${payload.username} (${payload.email})`);
+    // Add your business logic here
+    // e.g., send welcome email, create user profile, etc.
+    // Simulate some processing time
+    await sleep(Math.random() * 1000);
+  });
+
+  registry.register(EVENT_TYPES.USER_UPDATED, async (payload, context) => {
+    console.log(`👤 [${context.consumer}] User updated: ${payload.username}`);
+    console.log(`📝 [${context.consumer}] Changes:`, payload.changes);
+    await sleep(Math.random() * 500);
+  });
+
+  registry.register(EVENT_TYPES.USER_DELETED, async (payload, context) => {
+    console.log(`👤 [${context.consumer}] User deleted: ${payload.username}`);
+    // e.g., cleanup user data, send notification, etc.
+    await sleep(Math.random() * 800);
+  });
+};
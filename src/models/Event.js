@@ -12,6 +12,29 @@ const Event = sequelize.define('Event', {
     allowNull: false,
     field: 'stream_id'
   },
+  streamName: {
+    type: DataTypes.STRING,
+    field: 'stream_name'
+  },
+  eventKey: {
+    type: DataTypes.STRING,
+    field: 'event_key',
+    comment: 'UUID written into the stream entry by addToStream, stable across retries'
+  },
+  consumerGroup: {
+    type: DataTypes.STRING,
+    field: 'consumer_group'
+  },
+  correlationId: {
+    type: DataTypes.STRING,
+    field: 'correlation_id',
+    comment: 'Shared by every event caused by the same request (X-Request-Id/traceparent)'
+  },
+  causationId: {
+    type: DataTypes.STRING,
+    field: 'causation_id',
+    comment: 'Event UUID of the event whose handling published this one'
+  },
   eventType: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -60,6 +83,20 @@ const Event = sequelize.define('Event', {
     },
     {
       fields: ['user_id']
+    },
+    {
+      fields: ['correlation_id']
+    },
+    {
+      fields: ['causation_id']
+    },
+    {
+      unique: true,
+      fields: ['stream_name', 'stream_id', 'consumer_group']
+    },
+    {
+      unique: true,
+      fields: ['event_key', 'consumer_group']
     }
   ]
 });
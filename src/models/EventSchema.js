@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EventSchema = sequelize.define('EventSchema', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'event_type'
+  },
+  schema: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'JSON Schema the event payload must match'
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Incremented every time the schema is replaced'
+  }
+}, {
+  tableName: 'event_schemas',
+  timestamps: true
+});
+
+module.exports = EventSchema;
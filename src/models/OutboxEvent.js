@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OutboxEvent = sequelize.define('OutboxEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true,
+    comment: 'Insertion order; events of an aggregate are published in this order'
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    allowNull: false,
+    unique: true,
+    field: 'event_id',
+    comment: 'Written as the stream entry id, so a republished event is deduplicated by consumers'
+  },
+  aggregateType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'aggregate_type'
+  },
+  aggregateId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'aggregate_id'
+  },
+  streamName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'stream_name'
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'event_type'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  schemaVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'schema_version'
+  },
+  correlationId: {
+    type: DataTypes.STRING,
+    field: 'correlation_id'
+  },
+  causationId: {
+    type: DataTypes.STRING,
+    field: 'causation_id'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    field: 'last_error'
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'next_attempt_at'
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    field: 'message_id',
+    comment: 'Stream message ID once published'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    field: 'sent_at'
+  }
+}, {
+  tableName: 'outbox_events',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['status', 'id']
+    },
+    {
+      fields: ['aggregate_type', 'aggregate_id']
+    },
+    {
+      fields: ['status', 'sent_at']
+    }
+  ]
+});
+
+module.exports = OutboxEvent;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ReplayJob = sequelize.define('ReplayJob', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  streamName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'stream_name'
+  },
+  rangeStart: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'range_start'
+  },
+  rangeEnd: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'range_end'
+  },
+  eventTypes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'event_types'
+  },
+  handlers: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  consumerGroup: {
+    type: DataTypes.STRING,
+    field: 'consumer_group',
+    comment: 'Consumer group whose handlers the replay runs'
+  },
+  rate: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  dryRun: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'dry_run'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'cancelled', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  progress: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Counters and last scanned ID, saved while the job runs'
+  },
+  matchedByType: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    field: 'matched_by_type'
+  },
+  errors: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  cancelRequested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'cancel_requested',
+    comment: 'Set by any API process; the process running the job picks it up'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    field: 'finished_at'
+  }
+}, {
+  tableName: 'replay_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['createdAt']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ReplayJob;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const StreamArchive = sequelize.define('StreamArchive', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  streamName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'stream_name'
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'message_id'
+  },
+  idMs: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'id_ms',
+    comment: 'Millisecond part of the stream ID, for range queries'
+  },
+  idSeq: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'id_seq',
+    comment: 'Sequence part of the stream ID, for range queries'
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    field: 'event_type'
+  },
+  fields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Raw stream entry fields, as stored in Redis'
+  },
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Time the entry was added to the stream'
+  }
+}, {
+  tableName: 'stream_archive',
+  timestamps: true,
+  createdAt: 'archivedAt',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['stream_name', 'message_id']
+    },
+    {
+      fields: ['stream_name', 'id_ms', 'id_seq']
+    },
+    {
+      fields: ['event_type']
+    }
+  ]
+});
+
+module.exports = StreamArchive;
@@ -1,11 +1,19 @@
 const { sequelize } = require('../config/database');
 const Event = require('./Event');
 const User = require('./User');
+const StreamArchive = require('./StreamArchive');
+const EventSchema = require('./EventSchema');
+const OutboxEvent = require('./OutboxEvent');
+const ReplayJob = require('./ReplayJob');
 
 // Initialize models
 const models = {
   Event,
-  User
+  User,
+  StreamArchive,
+  EventSchema,
+  OutboxEvent,
+  ReplayJob
 };
 
 // Define associations
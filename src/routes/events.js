@@ -1,7 +1,8 @@
 const express = require('express');
 const { Event } = require('../models');
 const ProducerService = require('../services/producer');
-const { STREAMS, EVENT_TYPES } = require('../utils/streamUtils');
+const { STREAMS, EVENT_TYPES, BATCH_MODES } = require('../utils/streamUtils');
+const { SchemaValidationError, BatchPublishError, BackpressureError } = require('../utils/errors');
 const router = express.Router();
 
 /**
@@ -36,6 +37,9 @@ router.post('/chat', async (req, res) => {
       message: 'Chat message sent and event published successfully'
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error sending chat message:', error);
     res.status(500).json({
       error: 'Failed to send chat message',
@@ -77,6 +81,9 @@ router.post('/tasks', async (req, res) => {
       message: 'Task created and event published successfully'
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error creating task:', error);
     res.status(500).json({
       error: 'Failed to create task',
@@ -112,6 +119,9 @@ router.post('/tasks/:taskId/complete', async (req, res) => {
       message: 'Task completion event published successfully'
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error completing task:', error);
     res.status(500).json({
       error: 'Failed to complete task',
@@ -142,6 +152,9 @@ router.post('/logs', async (req, res) => {
       message: 'System log event published successfully'
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error publishing system log:', error);
     res.status(500).json({
       error: 'Failed to publish system log',
@@ -172,6 +185,9 @@ router.post('/custom', async (req, res) => {
       message: 'Custom event published successfully'
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error publishing custom event:', error);
     res.status(500).json({
       error: 'Failed to publish custom event',
@@ -185,7 +201,7 @@ router.post('/custom', async (req, res) => {
  */
 router.post('/batch', async (req, res) => {
   try {
-    const { events } = req.body;
+    const { events, mode = BATCH_MODES.PIPELINED } = req.body;
 
     if (!Array.isArray(events) || events.length === 0) {
       return res.status(400).json({
@@ -202,16 +218,40 @@ router.post('/batch', async (req, res) => {
       }
     }
 
+    if (!Object.values(BATCH_MODES).includes(mode)) {
+      return res.status(400).json({
+        error: `mode must be one of: ${Object.values(BATCH_MODES).join(', ')}`
+      });
+    }
+
     // Batch publish events
-    const messageIds = await ProducerService.batchPublish(events);
+    const results = await ProducerService.batchPublish(events, mode);
+    const failed = results.filter(result => result.error).length;
+
+    // Pipelined events land independently; report which ones did
+    let status = 201;
+    let message = 'Batch events published successfully';
+    if (failed === results.length) {
+      status = 500;
+      message = 'No batch events were published';
+    } else if (failed > 0) {
+      status = 207;
+      message = `${results.length - failed} of ${results.length} batch events published`;
+    }
 
-    res.status(201).json({
-      success: true,
-      messageIds,
-      count: messageIds.length,
-      message: 'Batch events published successfully'
+    res.status(status).json({
+      success: failed === 0,
+      mode,
+      results,
+      messageIds: results.map(result => result.messageId),
+      count: results.length - failed,
+      failed,
+      message
     });
   } catch (error) {
+    if (sendPublishError(res, error)) {
+      return;
+    }
     console.error('Error batch publishing events:', error);
     res.status(500).json({
       error: 'Failed to batch publish events',
@@ -225,11 +265,22 @@ router.post('/batch', async (req, res) => {
  */
 router.get('/processed', async (req, res) => {
   try {
-    const { limit = 50, offset = 0, eventType, processed } = req.query;
+    const {
+      limit = 50,
+      offset = 0,
+      eventType,
+      processed,
+      consumerGroup,
+      correlationId,
+      causationId
+    } = req.query;
 
     const where = {};
     if (eventType) where.eventType = eventType;
     if (processed !== undefined) where.processed = processed === 'true';
+    if (consumerGroup) where.consumerGroup = consumerGroup;
+    if (correlationId) where.correlationId = correlationId;
+    if (causationId) where.causationId = causationId;
 
     const events = await Event.findAndCountAll({
       where,
@@ -311,4 +362,21 @@ router.get('/info', async (req, res) => {
   }
 });
 
+/**
+ * Send the response for a publish that was refused: invalid payloads, a
+ * rejected batch, or a stream held back by backpressure (with Retry-After)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while publishing
+ * @returns {boolean} Whether a response was sent
+ */
+function sendPublishError(res, error) {
+  if (error instanceof BackpressureError) {
+    res.set('Retry-After', error.retryAfterSeconds);
+  } else if (!(error instanceof SchemaValidationError || error instanceof BatchPublishError)) {
+    return false;
+  }
+  res.status(error.statusCode).json(error.toResponse());
+  return true;
+}
+
 module.exports = router;
@@ -1,8 +1,35 @@
 const express = require('express');
-const { redis } = require('../config/redis');
-const { STREAMS } = require('../utils/streamUtils');
+const { getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
+const {
+  STREAMS,
+  getDeadLetterStreamName,
+  requeueDeadLetter,
+  createConsumerGroup,
+  destroyConsumerGroup,
+  deleteConsumer,
+  setConsumerGroupId,
+  getStreamIdBefore,
+  countEntriesAfter,
+  getPendingMessages,
+  claimMessages,
+  acknowledgeMessage
+} = require('../utils/streamUtils');
+const { listConsumers } = require('../services/consumerRegistry');
+const StreamTrimmer = require('../services/streamTrimmer');
+const StreamArchiver = require('../services/streamArchiver');
+const OutboxRelay = require('../services/outboxRelay');
+const { RETENTION_POLICIES, getRetentionPolicy } = require('../config/retention');
+const { getStreamLag } = require('../utils/consumerLag');
+const { getBackpressureStatus } = require('../utils/backpressure');
+const { BACKPRESSURE_ENABLED } = require('../config/backpressure');
 const router = express.Router();
 
+// Monitoring commands use their own connection so slow XINFO/XRANGE calls
+// don't queue up behind (or in front of) publishing
+const redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+const streamArchiver = new StreamArchiver();
+const outboxRelay = new OutboxRelay();
+
 /**
  * Get all Redis Streams information
  */
@@ -150,7 +177,399 @@ router.get('/streams/:streamName/groups', async (req, res) => {
 });
 
 /**
- * Read messages from stream
+ * Create a consumer group at a start ID or timestamp
+ */
+router.post('/streams/:streamName/groups', async (req, res) => {
+  try {
+    const { streamName } = req.params;
+    const { groupName } = req.body;
+    const dryRun = parseBoolean(req.body.dryRun);
+
+    if (!groupName) {
+      return res.status(400).json({
+        error: 'groupName is required'
+      });
+    }
+
+    if (dryRun === null) {
+      return res.status(400).json({
+        error: 'dryRun must be true or false'
+      });
+    }
+
+    const startId = resolveGroupId(req.body, '$');
+    if (!startId) {
+      return res.status(400).json({
+        error: 'Invalid start position',
+        details: 'Provide startId as a stream ID, \'0\' or \'$\', or timestamp as milliseconds or an ISO date'
+      });
+    }
+
+    if (await findGroup(streamName, groupName)) {
+      return res.status(409).json({
+        error: 'Consumer group already exists'
+      });
+    }
+
+    const entriesToDeliver = await countEntriesAfter(streamName, startId);
+
+    if (!dryRun) {
+      await createConsumerGroup(streamName, groupName, startId);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      stream: streamName,
+      groupName,
+      startId,
+      entriesToDeliver: entriesToDeliver.count,
+      countExact: entriesToDeliver.exact,
+      message: dryRun ? 'Dry run: consumer group not created' : 'Consumer group created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating consumer group:', error);
+    res.status(500).json({
+      error: 'Failed to create consumer group',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Destroy a consumer group. Its pending entries are dropped.
+ */
+router.delete('/streams/:streamName/groups/:groupName', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const dryRun = parseBoolean(req.query.dryRun);
+
+    if (dryRun === null) {
+      return res.status(400).json({
+        error: 'dryRun must be true or false'
+      });
+    }
+
+    const group = await findGroup(streamName, groupName);
+    if (!group) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    if (!dryRun) {
+      await destroyConsumerGroup(streamName, groupName);
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      stream: streamName,
+      groupName,
+      consumers: group.consumers,
+      pendingDropped: group.pending,
+      message: dryRun ? 'Dry run: consumer group not destroyed' : 'Consumer group destroyed successfully'
+    });
+  } catch (error) {
+    console.error('Error destroying consumer group:', error);
+    res.status(500).json({
+      error: 'Failed to destroy consumer group',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Delete consumers that have been idle for at least minIdle milliseconds.
+ * Consumers that still own pending entries are kept unless force=true,
+ * because deleting them drops those entries for good.
+ */
+router.delete('/streams/:streamName/groups/:groupName/consumers', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const minIdle = parseNonNegativeInt(req.query.minIdle, 3600000);
+    const dryRun = parseBoolean(req.query.dryRun);
+    const force = parseBoolean(req.query.force);
+
+    if (minIdle === null || dryRun === null || force === null) {
+      return res.status(400).json({
+        error: 'minIdle must be a non-negative integer; dryRun and force must be true or false'
+      });
+    }
+
+    if (!(await findGroup(streamName, groupName))) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    const consumers = (await redis.xinfo('CONSUMERS', streamName, groupName))
+      .map(consumer => parseConsumerInfo(consumer));
+    const idleConsumers = consumers.filter(consumer => consumer.idle >= minIdle);
+
+    const deleted = [];
+    const skipped = [];
+
+    for (const consumer of idleConsumers) {
+      if (consumer.pending > 0 && !force) {
+        skipped.push({ name: consumer.name, idle: consumer.idle, pending: consumer.pending });
+        continue;
+      }
+
+      if (!dryRun) {
+        await deleteConsumer(streamName, groupName, consumer.name);
+      }
+      deleted.push({ name: consumer.name, idle: consumer.idle, pending: consumer.pending });
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      stream: streamName,
+      groupName,
+      minIdle,
+      deleted,
+      skipped,
+      pendingDropped: deleted.reduce((total, consumer) => total + consumer.pending, 0),
+      message: dryRun
+        ? `Dry run: ${deleted.length} idle consumers would be deleted`
+        : `Deleted ${deleted.length} idle consumers`
+    });
+  } catch (error) {
+    console.error('Error deleting idle consumers:', error);
+    res.status(500).json({
+      error: 'Failed to delete idle consumers',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Reset a consumer group's last-delivered ID to a message ID or timestamp
+ */
+router.post('/streams/:streamName/groups/:groupName/reset', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const dryRun = parseBoolean(req.body.dryRun);
+
+    if (dryRun === null) {
+      return res.status(400).json({
+        error: 'dryRun must be true or false'
+      });
+    }
+
+    const lastId = resolveGroupId(req.body);
+    if (!lastId) {
+      return res.status(400).json({
+        error: 'Invalid reset position',
+        details: 'Provide id as a stream ID, \'0\' or \'$\', or timestamp as milliseconds or an ISO date'
+      });
+    }
+
+    const group = await findGroup(streamName, groupName);
+    if (!group) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    // Entries between the new and the current position are delivered again;
+    // entries after the current position were undelivered either way
+    const previousLastId = group['last-delivered-id'];
+    const entriesAfterReset = await countEntriesAfter(streamName, lastId);
+    const entriesAfterPrevious = typeof group.lag === 'number'
+      ? { count: group.lag, exact: true }
+      : await countEntriesAfter(streamName, previousLastId);
+
+    if (!dryRun) {
+      await setConsumerGroupId(streamName, groupName, lastId);
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      stream: streamName,
+      groupName,
+      previousLastDeliveredId: previousLastId,
+      lastDeliveredId: lastId,
+      entriesToDeliver: entriesAfterReset.count,
+      entriesRedelivered: Math.max(0, entriesAfterReset.count - entriesAfterPrevious.count),
+      countExact: entriesAfterReset.exact && entriesAfterPrevious.exact,
+      message: dryRun ? 'Dry run: consumer group not reset' : 'Consumer group reset successfully'
+    });
+  } catch (error) {
+    console.error('Error resetting consumer group:', error);
+    res.status(500).json({
+      error: 'Failed to reset consumer group',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List a consumer group's pending entries with their decoded payloads
+ */
+router.get('/streams/:streamName/groups/:groupName/pending', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const { consumer, start = '-', end = '+' } = req.query;
+    const minIdle = parseNonNegativeInt(req.query.minIdle, 0);
+    const count = parseNonNegativeInt(req.query.count, 100);
+
+    if (minIdle === null || count === null) {
+      return res.status(400).json({
+        error: 'minIdle and count must be non-negative integers'
+      });
+    }
+
+    if (!(await findGroup(streamName, groupName))) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    const [total, lowestId, highestId, consumers] = await redis.xpending(streamName, groupName);
+    const entries = await getPendingMessages(streamName, groupName, {
+      start,
+      end,
+      count,
+      consumer,
+      minIdle
+    });
+
+    // Pending entries can outlive their stream entry if it was trimmed
+    const pipeline = redis.pipeline();
+    entries.forEach(entry => pipeline.xrange(streamName, entry.messageId, entry.messageId));
+    const results = entries.length > 0 ? await pipeline.exec() : [];
+
+    res.json({
+      success: true,
+      stream: streamName,
+      groupName,
+      summary: {
+        total,
+        lowestId,
+        highestId,
+        consumers: (consumers || []).map(([name, pending]) => ({ name, pending: parseInt(pending) }))
+      },
+      filters: {
+        consumer: consumer || null,
+        minIdle,
+        start,
+        end
+      },
+      count: entries.length,
+      entries: entries.map((entry, index) => {
+        const [error, messages] = results[index];
+        const message = !error && messages.length > 0 ? messages[0] : null;
+
+        return {
+          ...entry,
+          deleted: !message,
+          data: message ? parseMessageFields(message[1]) : null
+        };
+      }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing pending entries:', error);
+    res.status(500).json({
+      error: 'Failed to list pending entries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Claim specific pending entries for another consumer
+ */
+router.post('/streams/:streamName/groups/:groupName/pending/claim', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const { consumer, ids } = req.body;
+    const minIdle = parseNonNegativeInt(req.body.minIdle, 0);
+
+    if (!consumer || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        error: 'consumer and a non-empty ids array are required'
+      });
+    }
+
+    if (minIdle === null) {
+      return res.status(400).json({
+        error: 'minIdle must be a non-negative integer'
+      });
+    }
+
+    if (!(await findGroup(streamName, groupName))) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    const claimed = await claimMessages(streamName, groupName, consumer, ids, minIdle);
+    const claimedIds = claimed.map(([id]) => id);
+
+    res.json({
+      success: true,
+      stream: streamName,
+      groupName,
+      consumer,
+      claimed: claimedIds,
+      notClaimed: ids.filter(id => !claimedIds.includes(id)),
+      message: `Claimed ${claimedIds.length} of ${ids.length} entries for ${consumer}`
+    });
+  } catch (error) {
+    console.error('Error claiming pending entries:', error);
+    res.status(500).json({
+      error: 'Failed to claim pending entries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Force-acknowledge pending entries without processing them
+ */
+router.post('/streams/:streamName/groups/:groupName/pending/ack', async (req, res) => {
+  try {
+    const { streamName, groupName } = req.params;
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        error: 'A non-empty ids array is required'
+      });
+    }
+
+    if (!(await findGroup(streamName, groupName))) {
+      return res.status(404).json({
+        error: 'Consumer group not found'
+      });
+    }
+
+    const acknowledged = await acknowledgeMessage(streamName, groupName, ids);
+
+    res.json({
+      success: true,
+      stream: streamName,
+      groupName,
+      requested: ids.length,
+      acknowledged,
+      message: `Acknowledged ${acknowledged} of ${ids.length} entries`
+    });
+  } catch (error) {
+    console.error('Error acknowledging pending entries:', error);
+    res.status(500).json({
+      error: 'Failed to acknowledge pending entries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Read messages from stream. By default the range spans the archive
+ * (entries already trimmed from Redis) and Redis.
  */
 router.get('/streams/:streamName/messages', async (req, res) => {
   try {
@@ -159,24 +578,43 @@ router.get('/streams/:streamName/messages', async (req, res) => {
       start = '0', 
       end = '+', 
       count = 10,
-      direction = 'forward' 
+      direction = 'forward',
+      source = 'all'
     } = req.query;
 
+    if (!['all', 'redis', 'archive'].includes(source)) {
+      return res.status(400).json({
+        error: 'source must be one of all, redis, archive'
+      });
+    }
+
     let messages;
     
-    if (direction === 'backward') {
-      messages = await redis.xrevrange(streamName, end, start, 'COUNT', parseInt(count));
+    if (source === 'all') {
+      messages = await streamArchiver.readMessages(streamName, {
+        start, end, count: parseInt(count), direction
+      });
+    } else if (source === 'archive') {
+      messages = (await streamArchiver.readArchive(streamName, {
+        start, end, count: parseInt(count), direction
+      })).map(([id, fields]) => ({ id, fields, source: 'archive' }));
+    } else if (direction === 'backward') {
+      messages = (await redis.xrevrange(streamName, end, start, 'COUNT', parseInt(count)))
+        .map(([id, fields]) => ({ id, fields, source: 'redis' }));
     } else {
-      messages = await redis.xrange(streamName, start, end, 'COUNT', parseInt(count));
+      messages = (await redis.xrange(streamName, start, end, 'COUNT', parseInt(count)))
+        .map(([id, fields]) => ({ id, fields, source: 'redis' }));
     }
 
     res.json({
       success: true,
       stream: streamName,
       direction,
+      source,
       count: messages.length,
-      messages: messages.map(([id, fields]) => ({
+      messages: messages.map(({ id, fields, source: messageSource }) => ({
         id,
+        source: messageSource,
         data: parseMessageFields(fields)
       })),
       timestamp: new Date().toISOString()
@@ -190,6 +628,319 @@ router.get('/streams/:streamName/messages', async (req, res) => {
   }
 });
 
+/**
+ * List entries in a stream's dead-letter stream
+ */
+router.get('/streams/:streamName/dlq', async (req, res) => {
+  try {
+    const { streamName } = req.params;
+    const { start = '-', end = '+', count = 50 } = req.query;
+    const deadLetterStream = getDeadLetterStreamName(streamName);
+
+    const length = await redis.xlen(deadLetterStream);
+    const messages = await redis.xrange(deadLetterStream, start, end, 'COUNT', parseInt(count));
+
+    res.json({
+      success: true,
+      stream: streamName,
+      deadLetterStream,
+      length,
+      count: messages.length,
+      messages: messages.map(([id, fields]) => ({
+        id,
+        data: parseMessageFields(fields)
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading dead-letter stream:', error);
+    res.status(500).json({
+      error: 'Failed to read dead-letter stream',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Inspect a single dead-letter entry
+ */
+router.get('/streams/:streamName/dlq/:messageId', async (req, res) => {
+  try {
+    const { streamName, messageId } = req.params;
+    const deadLetterStream = getDeadLetterStreamName(streamName);
+
+    const messages = await redis.xrange(deadLetterStream, messageId, messageId);
+    if (messages.length === 0) {
+      return res.status(404).json({
+        error: 'Dead-letter message not found'
+      });
+    }
+
+    const [id, fields] = messages[0];
+
+    res.json({
+      success: true,
+      stream: streamName,
+      deadLetterStream,
+      message: {
+        id,
+        data: parseMessageFields(fields)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading dead-letter message:', error);
+    res.status(500).json({
+      error: 'Failed to read dead-letter message',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Requeue a dead-letter entry onto its original stream
+ */
+router.post('/streams/:streamName/dlq/:messageId/requeue', async (req, res) => {
+  try {
+    const { streamName, messageId } = req.params;
+
+    const newMessageId = await requeueDeadLetter(streamName, messageId);
+    if (!newMessageId) {
+      return res.status(404).json({
+        error: 'Dead-letter message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      stream: streamName,
+      deadLetterId: messageId,
+      messageId: newMessageId,
+      message: 'Dead-letter message requeued successfully'
+    });
+  } catch (error) {
+    console.error('Error requeueing dead-letter message:', error);
+    res.status(500).json({
+      error: 'Failed to requeue dead-letter message',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Purge a stream's dead-letter stream
+ */
+router.delete('/streams/:streamName/dlq', async (req, res) => {
+  try {
+    const { streamName } = req.params;
+    const deadLetterStream = getDeadLetterStreamName(streamName);
+
+    const purged = await redis.xlen(deadLetterStream);
+    await redis.del(deadLetterStream);
+
+    res.json({
+      success: true,
+      stream: streamName,
+      deadLetterStream,
+      purged,
+      message: 'Dead-letter stream purged successfully'
+    });
+  } catch (error) {
+    console.error('Error purging dead-letter stream:', error);
+    res.status(500).json({
+      error: 'Failed to purge dead-letter stream',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the backpressure state of every stream with a backpressure policy
+ */
+router.get('/backpressure', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      enabled: BACKPRESSURE_ENABLED,
+      streams: await getBackpressureStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting backpressure status:', error);
+    res.status(500).json({
+      error: 'Failed to get backpressure status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get retention policies and last trim results for every stream with a policy
+ */
+router.get('/retention', async (req, res) => {
+  try {
+    const streams = await Promise.all(
+      Object.keys(RETENTION_POLICIES).map(streamName => getRetentionStatus(streamName))
+    );
+
+    res.json({
+      success: true,
+      streams,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting retention status:', error);
+    res.status(500).json({
+      error: 'Failed to get retention status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get a stream's retention policy and last trim result
+ */
+router.get('/streams/:streamName/retention', async (req, res) => {
+  try {
+    const { streamName } = req.params;
+
+    res.json({
+      success: true,
+      ...(await getRetentionStatus(streamName)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting retention status:', error);
+    res.status(500).json({
+      error: 'Failed to get retention status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get consumer group lag for every stream. maxLag (entries) and maxLagMs
+ * override the default thresholds above which a group is degraded.
+ */
+router.get('/lag', async (req, res) => {
+  try {
+    const thresholds = parseLagThresholds(req.query);
+    if (!thresholds) {
+      return res.status(400).json({
+        error: 'maxLag and maxLagMs must be non-negative integers'
+      });
+    }
+
+    const streams = [];
+    for (const streamName of Object.values(STREAMS)) {
+      const streamLag = await getStreamLag(streamName, thresholds);
+      if (streamLag) {
+        streams.push(streamLag);
+      }
+    }
+
+    res.json({
+      success: true,
+      status: streams.some(stream => stream.status === 'degraded') ? 'degraded' : 'ok',
+      streams,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting consumer lag:', error);
+    res.status(500).json({
+      error: 'Failed to get consumer lag',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the lag of a stream's consumer groups
+ */
+router.get('/streams/:streamName/lag', async (req, res) => {
+  try {
+    const { streamName } = req.params;
+
+    const thresholds = parseLagThresholds(req.query);
+    if (!thresholds) {
+      return res.status(400).json({
+        error: 'maxLag and maxLagMs must be non-negative integers'
+      });
+    }
+
+    const streamLag = await getStreamLag(streamName, thresholds);
+    if (!streamLag) {
+      return res.status(404).json({
+        error: 'Stream not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...streamLag,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting consumer lag:', error);
+    res.status(500).json({
+      error: 'Failed to get consumer lag',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the number of outbox events waiting to be published
+ */
+router.get('/outbox', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await outboxRelay.getPendingStats()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting outbox status:', error);
+    res.status(500).json({
+      error: 'Failed to get outbox status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List live and recently dead consumers from the heartbeat registry
+ */
+router.get('/consumers', async (req, res) => {
+  try {
+    const deadWithin = parseNonNegativeInt(req.query.deadWithin, 3600000);
+    if (deadWithin === null) {
+      return res.status(400).json({
+        error: 'deadWithin must be a non-negative integer'
+      });
+    }
+
+    const { live, dead } = await listConsumers(deadWithin);
+
+    res.json({
+      success: true,
+      live,
+      dead,
+      counts: {
+        live: live.length,
+        dead: dead.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing consumers:', error);
+    res.status(500).json({
+      error: 'Failed to list consumers',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Get Redis server information
  */
@@ -269,6 +1020,120 @@ function parseConsumerInfo(consumer) {
   return result;
 }
 
+/**
+ * Look up a consumer group on a stream
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @returns {Promise<Object|null>} Parsed group info, or null if the stream or group doesn't exist
+ */
+async function findGroup(streamName, groupName) {
+  try {
+    const groups = await redis.xinfo('GROUPS', streamName);
+    return groups
+      .map(group => parseGroupInfo(group))
+      .find(group => group.name === groupName) || null;
+  } catch (error) {
+    if (error.message.includes('no such key')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a stream's retention policy, current length and last trim result
+ * @param {string} streamName - Name of the stream
+ * @returns {Promise<Object>} { stream, policy, length, lastTrim }
+ */
+async function getRetentionStatus(streamName) {
+  const [length, lastTrim] = await Promise.all([
+    redis.xlen(streamName),
+    StreamTrimmer.getLastTrim(streamName)
+  ]);
+
+  return {
+    stream: streamName,
+    policy: getRetentionPolicy(streamName),
+    length,
+    lastTrim
+  };
+}
+
+/**
+ * Resolve a group position from a request body holding either a stream ID
+ * ('id' or 'startId') or a wall-clock timestamp
+ * @param {Object} body - Request body
+ * @param {string} defaultId - ID to use when neither is given
+ * @returns {string|null} Stream ID, or null if the input is invalid
+ */
+function resolveGroupId(body, defaultId = null) {
+  // 0 (from the beginning) is a valid position, so only a missing ID falls through
+  const id = body.id ?? body.startId;
+  const { timestamp } = body;
+
+  if (id !== undefined && id !== null) {
+    return /^(\$|\d+(-\d+)?)$/.test(String(id)) ? String(id) : null;
+  }
+
+  if (timestamp !== undefined) {
+    const ms = /^\d+$/.test(String(timestamp)) ? parseInt(timestamp) : Date.parse(timestamp);
+    return Number.isNaN(ms) ? null : getStreamIdBefore(ms);
+  }
+
+  return defaultId;
+}
+
+/**
+ * Read a boolean flag from a request body or query string
+ * @param {*} value - true, false, 'true' or 'false'
+ * @param {boolean} defaultValue - Value when the flag is missing
+ * @returns {boolean|null} Flag, or null if the value is invalid
+ */
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  if (value === true || value === 'true') {
+    return true;
+  }
+  if (value === false || value === 'false') {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Read a non-negative integer from a request body or query string
+ * @param {*} value - Number or digit string
+ * @param {number} defaultValue - Value when the parameter is missing
+ * @returns {number|null} Integer, or null if the value is invalid
+ */
+function parseNonNegativeInt(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return /^\d+$/.test(String(value)) ? parseInt(value) : null;
+}
+
+/**
+ * Read lag thresholds from query parameters
+ * @param {Object} query - Request query
+ * @returns {Object|null} Thresholds that were given, or null if one is invalid
+ */
+function parseLagThresholds(query) {
+  const thresholds = {};
+  for (const key of ['maxLag', 'maxLagMs']) {
+    if (query[key] === undefined) {
+      continue;
+    }
+    if (!/^\d+$/.test(String(query[key]))) {
+      return null;
+    }
+    thresholds[key] = parseInt(query[key]);
+  }
+  return thresholds;
+}
+
 function parseMessageFields(fields) {
   const result = {};
   for (let i = 0; i < fields.length; i += 2) {
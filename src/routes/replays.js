@@ -0,0 +1,101 @@
+const express = require('express');
+const ReplayService = require('../services/replayService');
+const router = express.Router();
+
+const replayService = new ReplayService();
+
+/**
+ * Start a replay job
+ */
+router.post('/', async (req, res) => {
+  try {
+    const job = await replayService.createJob(req.body);
+
+    res.status(202).json({
+      success: true,
+      job,
+      message: job.dryRun ? 'Dry run started' : 'Replay job started'
+    });
+  } catch (error) {
+    console.error('Error starting replay job:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to start replay job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List replay jobs
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await replayService.listJobs();
+
+    res.json({
+      success: true,
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Error listing replay jobs:', error);
+    res.status(500).json({
+      error: 'Failed to list replay jobs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get a replay job's progress
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await replayService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Replay job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Error getting replay job:', error);
+    res.status(500).json({
+      error: 'Failed to get replay job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Cancel a replay job
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await replayService.cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Replay job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+      message: 'Replay job cancellation requested'
+    });
+  } catch (error) {
+    console.error('Error cancelling replay job:', error);
+    res.status(500).json({
+      error: 'Failed to cancel replay job',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.replayService = replayService;
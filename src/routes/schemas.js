@@ -0,0 +1,182 @@
+const express = require('express');
+const { UniqueConstraintError } = require('sequelize');
+const { getSchemaRegistry } = require('../services/schemaRegistry');
+const { SchemaValidationError } = require('../utils/errors');
+const router = express.Router();
+
+const schemaRegistry = getSchemaRegistry();
+
+/**
+ * List registered event schemas
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schemas = await schemaRegistry.list();
+
+    res.json({
+      success: true,
+      strict: schemaRegistry.strict,
+      schemas,
+      count: schemas.length
+    });
+  } catch (error) {
+    console.error('Error listing event schemas:', error);
+    res.status(500).json({
+      error: 'Failed to list event schemas',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the schema for an event type
+ */
+router.get('/:eventType', async (req, res) => {
+  try {
+    const schema = await schemaRegistry.get(req.params.eventType);
+    if (!schema) {
+      return res.status(404).json({
+        error: 'Event schema not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schema
+    });
+  } catch (error) {
+    console.error('Error getting event schema:', error);
+    res.status(500).json({
+      error: 'Failed to get event schema',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Register a schema for an event type
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { eventType, schema, description } = req.body;
+
+    if (!eventType || !schema || typeof schema !== 'object') {
+      return res.status(400).json({
+        error: 'eventType and a schema object are required'
+      });
+    }
+
+    const created = await schemaRegistry.create(eventType, schema, description);
+
+    res.status(201).json({
+      success: true,
+      schema: created,
+      message: 'Event schema registered successfully'
+    });
+  } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({
+        error: 'A schema is already registered for this event type'
+      });
+    }
+    console.error('Error registering event schema:', error);
+    res.status(500).json({
+      error: 'Failed to register event schema',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Replace the schema for an event type
+ */
+router.put('/:eventType', async (req, res) => {
+  try {
+    const { schema, description } = req.body;
+
+    if (!schema || typeof schema !== 'object') {
+      return res.status(400).json({
+        error: 'A schema object is required'
+      });
+    }
+
+    const updated = await schemaRegistry.update(req.params.eventType, schema, description);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Event schema not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schema: updated,
+      message: 'Event schema updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    console.error('Error updating event schema:', error);
+    res.status(500).json({
+      error: 'Failed to update event schema',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Remove the schema for an event type
+ */
+router.delete('/:eventType', async (req, res) => {
+  try {
+    const removed = await schemaRegistry.remove(req.params.eventType);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Event schema not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Event schema removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing event schema:', error);
+    res.status(500).json({
+      error: 'Failed to remove event schema',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Check a payload against an event type's schema without publishing it
+ */
+router.post('/:eventType/validate', async (req, res) => {
+  try {
+    const { payload } = req.body;
+
+    const checked = await schemaRegistry.validate(req.params.eventType, payload);
+
+    res.json({
+      success: true,
+      valid: true,
+      checked,
+      message: checked ? 'Payload matches the schema' : 'No schema registered; payload accepted'
+    });
+  } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json({ valid: false, ...error.toResponse() });
+    }
+    console.error('Error validating payload:', error);
+    res.status(500).json({
+      error: 'Failed to validate payload',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
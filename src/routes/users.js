@@ -1,10 +1,11 @@
 const express = require('express');
-const { User } = require('../models');
+const { User, sequelize } = require('../models');
 const ProducerService = require('../services/producer');
+const { SchemaValidationError } = require('../utils/errors');
 const router = express.Router();
 
 /**
- * Create a new user and publish event
+ * Create a new user and queue its event in the outbox
  */
 router.post('/', async (req, res) => {
   try {
@@ -16,23 +17,30 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Create user in database
-    const user = await User.create({
-      username,
-      email,
-      status: 'active'
-    });
+    // Create the user and its event atomically; the outbox relay publishes it
+    const { user, outboxEvent } = await sequelize.transaction(async (transaction) => {
+      const created = await User.create({
+        username,
+        email,
+        status: 'active'
+      }, { transaction });
 
-    // Publish user created event
-    const messageId = await ProducerService.publishUserCreated(user);
+      return {
+        user: created,
+        outboxEvent: await ProducerService.enqueueUserCreated(created, transaction)
+      };
+    });
 
     res.status(201).json({
       success: true,
       user,
-      messageId,
-      message: 'User created and event published successfully'
+      eventId: outboxEvent.eventId,
+      message: 'User created and event queued for publishing'
     });
   } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     console.error('Error creating user:', error);
     res.status(500).json({
       error: 'Failed to create user',
@@ -42,7 +50,7 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Update a user and publish event
+ * Update a user and queue its event in the outbox
  */
 router.put('/:id', async (req, res) => {
   try {
@@ -67,20 +75,23 @@ router.put('/:id', async (req, res) => {
       }
     });
 
-    // Update user
-    await user.update(updates);
-
-    // Publish user updated event
-    const messageId = await ProducerService.publishUserUpdated(user, changes);
+    // Update the user and queue its event atomically
+    const outboxEvent = await sequelize.transaction(async (transaction) => {
+      await user.update(updates, { transaction });
+      return await ProducerService.enqueueUserUpdated(user, changes, transaction);
+    });
 
     res.json({
       success: true,
       user,
       changes,
-      messageId,
-      message: 'User updated and event published successfully'
+      eventId: outboxEvent.eventId,
+      message: 'User updated and event queued for publishing'
     });
   } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     console.error('Error updating user:', error);
     res.status(500).json({
       error: 'Failed to update user',
@@ -90,7 +101,7 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * Delete a user and publish event
+ * Delete a user and queue its event in the outbox
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -106,18 +117,21 @@ router.delete('/:id', async (req, res) => {
     const username = user.username;
     const userId = user.id;
 
-    // Delete user
-    await user.destroy();
-
-    // Publish user deleted event
-    const messageId = await ProducerService.publishUserDeleted(userId, username);
+    // Delete the user and queue its event atomically
+    const outboxEvent = await sequelize.transaction(async (transaction) => {
+      await user.destroy({ transaction });
+      return await ProducerService.enqueueUserDeleted(userId, username, transaction);
+    });
 
     res.json({
       success: true,
-      messageId,
-      message: 'User deleted and event published successfully'
+      eventId: outboxEvent.eventId,
+      message: 'User deleted and event queued for publishing'
     });
   } catch (error) {
+    if (error instanceof SchemaValidationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
     console.error('Error deleting user:', error);
     res.status(500).json({
       error: 'Failed to delete user',
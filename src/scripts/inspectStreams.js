@@ -1,7 +1,16 @@
 #!/usr/bin/env node
 
-const { redis } = require('../config/redis');
+const {
+  getRedisConnection,
+  createBlockingConnection,
+  releaseConnection,
+  closeAllConnections,
+  CONNECTION_ROLES
+} = require('../config/redis');
 const { STREAMS } = require('../utils/streamUtils');
+const { getStreamLag } = require('../utils/consumerLag');
+
+const redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
 
 /**
  * Redis Streams Inspection Script
@@ -85,10 +94,11 @@ class StreamInspector {
 
     const startTime = Date.now();
     let lastId = '$'; // Start from new messages
+    const blockingClient = createBlockingConnection('inspector');
 
     while (Date.now() - startTime < duration) {
       try {
-        const messages = await redis.xread('BLOCK', 1000, 'STREAMS', streamName, lastId);
+        const messages = await blockingClient.xread('BLOCK', 1000, 'STREAMS', streamName, lastId);
         
         if (messages && messages.length > 0) {
           for (const [stream, streamMessages] of messages) {
@@ -110,6 +120,7 @@ class StreamInspector {
       }
     }
 
+    releaseConnection(blockingClient);
     console.log('Monitoring stopped.');
   }
 
@@ -149,6 +160,39 @@ class StreamInspector {
     }
   }
 
+  /**
+   * Show consumer group lag by entries and by time
+   */
+  async getLagInfo(streamNames = this.streams, thresholds = {}) {
+    console.log('⏱️ Consumer Group Lag');
+    console.log('─'.repeat(50));
+
+    for (const streamName of streamNames) {
+      try {
+        const streamLag = await getStreamLag(streamName, thresholds);
+        if (!streamLag) {
+          console.log(`   ${streamName}: stream not found`);
+          continue;
+        }
+
+        const marker = streamLag.status === 'degraded' ? '⚠️' : '✅';
+        console.log(`${marker} ${streamName}: ${streamLag.lag} entries, ${streamLag.timeLagMs}ms behind (last ID ${streamLag.lastGeneratedId})`);
+
+        if (streamLag.groups.length === 0) {
+          console.log('     No consumer groups');
+        }
+        for (const group of streamLag.groups) {
+          console.log(`     - ${group.name}: ${group.lag} entries (${group.lagSource}), ${group.timeLagMs}ms, ${group.pending} pending [${group.status}]`);
+          for (const reason of group.reasons) {
+            console.log(`         ${reason}`);
+          }
+        }
+      } catch (error) {
+        console.log(`   ${streamName}: Error: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Get Redis server info
    */
@@ -260,6 +304,19 @@ async function main() {
         await inspector.getConsumerGroupInfo(groupStream, groupName);
         break;
       
+      case 'lag':
+        const lagStreams = args[1] && args[1] !== 'all' ? args[1].split(',') : undefined;
+        const thresholds = {};
+        if ([args[2], args[3]].some(arg => arg !== undefined && !/^\d+$/.test(arg))) {
+          console.log('Usage: node inspectStreams.js lag [streams|all] [max-entries] [max-ms]');
+          console.log('max-entries and max-ms must be non-negative integers');
+          process.exit(1);
+        }
+        if (args[2]) thresholds.maxLag = parseInt(args[2]);
+        if (args[3]) thresholds.maxLagMs = parseInt(args[3]);
+        await inspector.getLagInfo(lagStreams, thresholds);
+        break;
+      
       case 'redis':
         await inspector.getRedisInfo();
         break;
@@ -271,6 +328,7 @@ async function main() {
         console.log('  node inspectStreams.js stream <name>          - Show specific stream info');
         console.log('  node inspectStreams.js monitor <name> [ms]    - Monitor stream in real-time');
         console.log('  node inspectStreams.js group <stream> <group> - Show consumer group info');
+        console.log('  node inspectStreams.js lag [streams|all] [max-entries] [max-ms] - Show consumer group lag');
         console.log('  node inspectStreams.js redis                  - Show Redis server info');
         break;
     }
@@ -278,14 +336,14 @@ async function main() {
     console.error('Error:', error.message);
     process.exit(1);
   } finally {
-    await redis.disconnect();
+    await closeAllConnections();
   }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n👋 Goodbye!');
-  await redis.disconnect();
+  await closeAllConnections();
   process.exit(0);
 });
 
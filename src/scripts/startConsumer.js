@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
 const ConsumerService = require('../services/consumer');
+const RetryScheduler = require('../services/retryScheduler');
 const { STREAMS } = require('../utils/streamUtils');
-const { testRedisConnection } = require('../config/redis');
-const { testConnection } = require('../config/database');
+const { closeAllConnections, testRedisConnection } = require('../config/redis');
+const { sequelize, testConnection } = require('../config/database');
+const { closeHttpServer, setupGracefulShutdown } = require('../utils/shutdown');
+const { startMetricsServer } = require('../utils/metrics');
 
 /**
  * Example script to start a simple consumer
@@ -16,11 +19,30 @@ async function startConsumer() {
     await testRedisConnection();
     await testConnection();
     
+    // Start the retry scheduler so failed events are redelivered with backoff
+    const retryScheduler = new RetryScheduler();
+    retryScheduler.start();
+    
+    // Expose this worker's metrics on its own port
+    const metricsServer = process.env.METRICS_PORT
+      ? startMetricsServer(parseInt(process.env.METRICS_PORT))
+      : null;
+    
     // Create consumer instance
-    const consumer = new ConsumerService('example-consumer');
+    const consumer = new ConsumerService('example-consumer', { retryScheduler });
+
+    // Drain the in-flight message before disconnecting on SIGINT/SIGTERM
+    setupGracefulShutdown([
+      { name: 'Consumer stopped', run: (gracePeriod) => consumer.stop(gracePeriod) },
+      { name: 'Metrics server closed', run: async (gracePeriod) => metricsServer && closeHttpServer(metricsServer, gracePeriod) },
+      { name: 'Retry scheduler stopped', run: async () => retryScheduler.stop() },
+      { name: 'Redis connections closed', run: () => closeAllConnections() },
+      { name: 'Database connection closed', run: () => sequelize.close() }
+    ], { label: 'consumer' });
     
     // Start consuming from user events stream
     console.log('📥 Starting to consume from user:events stream...');
+    // Resumes from the last committed checkpoint; '0' only applies on the first run
     await consumer.startConsuming(STREAMS.USER_EVENTS, '0', 5, 1000);
     
   } catch (error) {
@@ -29,10 +51,4 @@ async function startConsumer() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down consumer...');
-  process.exit(0);
-});
-
 startConsumer();
@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
 const ConsumerGroupService = require('../services/consumerGroup');
+const RetryScheduler = require('../services/retryScheduler');
 const { STREAMS } = require('../utils/streamUtils');
-const { testRedisConnection } = require('../config/redis');
-const { testConnection } = require('../config/database');
+const { closeAllConnections, testRedisConnection } = require('../config/redis');
+const { sequelize, testConnection } = require('../config/database');
+const { closeHttpServer, setupGracefulShutdown } = require('../utils/shutdown');
+const { startMetricsServer } = require('../utils/metrics');
 
 /**
  * Example script to start a consumer group
@@ -16,19 +19,40 @@ async function startConsumerGroup() {
     await testRedisConnection();
     await testConnection();
     
-    // Get consumer name from command line args or use default
+    // Get consumer name and streams from command line args or use defaults
     const consumerName = process.argv[2] || `consumer-${Date.now()}`;
-    const groupName = 'user-processing-group';
+    const streamNames = process.argv[3] ? process.argv[3].split(',') : [STREAMS.USER_EVENTS];
+    const groupName = process.env.CONSUMER_GROUP || 'user-processing-group';
+    
+    // Start the retry scheduler so failed events are redelivered with backoff
+    const retryScheduler = new RetryScheduler();
+    retryScheduler.start();
+    
+    // Expose this worker's metrics on its own port
+    const metricsServer = process.env.METRICS_PORT
+      ? startMetricsServer(parseInt(process.env.METRICS_PORT))
+      : null;
     
     // Create consumer group instance
-    const consumerGroup = new ConsumerGroupService(groupName, consumerName);
+    const consumerGroup = new ConsumerGroupService(groupName, consumerName, { retryScheduler });
+
+    // Drain in-flight messages before disconnecting on SIGINT/SIGTERM
+    setupGracefulShutdown([
+      { name: 'Consumer group stopped', run: (gracePeriod) => consumerGroup.stop(gracePeriod) },
+      { name: 'Metrics server closed', run: async (gracePeriod) => metricsServer && closeHttpServer(metricsServer, gracePeriod) },
+      { name: 'Retry scheduler stopped', run: async () => retryScheduler.stop() },
+      { name: 'Redis connections closed', run: () => closeAllConnections() },
+      { name: 'Database connection closed', run: () => sequelize.close() }
+    ], { label: 'consumer group' });
     
-    // Initialize consumer group for user events stream
-    await consumerGroup.initializeGroup(STREAMS.USER_EVENTS, '0');
+    // Initialize consumer group for each stream
+    for (const streamName of streamNames) {
+      await consumerGroup.initializeGroup(streamName, '0');
+    }
     
-    // Start consuming from consumer group
+    // Start consuming from all initialized streams
     console.log(`📥 Starting consumer group ${groupName} with consumer ${consumerName}...`);
-    await consumerGroup.startConsuming(STREAMS.USER_EVENTS, 1, 1000);
+    await consumerGroup.startConsuming(null, 10, 1000);
     
   } catch (error) {
     console.error('❌ Error starting consumer group:', error);
@@ -36,10 +60,4 @@ async function startConsumerGroup() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down consumer group...');
-  process.exit(0);
-});
-
 startConsumerGroup();
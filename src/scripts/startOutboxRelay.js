@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+const OutboxRelay = require('../services/outboxRelay');
+const { closeAllConnections, testRedisConnection } = require('../config/redis');
+const { sequelize, testConnection } = require('../config/database');
+const { setupGracefulShutdown, waitFor } = require('../utils/shutdown');
+
+/**
+ * Start an outbox relay on its own, e.g. when the API runs with
+ * OUTBOX_RELAY_ENABLED=false. Several relays can run; one publishes at a time.
+ */
+async function startOutboxRelay() {
+  try {
+    console.log('🚀 Starting outbox relay...');
+
+    // Test connections
+    await testRedisConnection();
+    await testConnection();
+
+    const outboxRelay = new OutboxRelay();
+
+    // Let the running batch finish before disconnecting on SIGINT/SIGTERM
+    setupGracefulShutdown([
+      { name: 'Outbox relay stopped', run: (gracePeriod) => waitFor(outboxRelay.stop(), gracePeriod) },
+      { name: 'Redis connections closed', run: () => closeAllConnections() },
+      { name: 'Database connection closed', run: () => sequelize.close() }
+    ], { label: 'outbox relay' });
+
+    outboxRelay.start();
+  } catch (error) {
+    console.error('❌ Error starting outbox relay:', error);
+    process.exit(1);
+  }
+}
+
+startOutboxRelay();
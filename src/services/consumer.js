@@ -1,48 +1,153 @@
+const { redis, createBlockingConnection, releaseConnection } = require('../config/redis');
 const { 
   readFromStream, 
   readFromStreams, 
-  STREAMS, 
-  EVENT_TYPES 
+  parseMessageFields,
+  moveToDeadLetter,
+  STREAMS 
 } = require('../utils/streamUtils');
-const { Event } = require('../models');
+const { getCheckpoint, getCheckpoints, commitCheckpoint } = require('../utils/checkpointStore');
+const { getDefaultRegistry } = require('./handlerRegistry');
+const { ConsumerHeartbeat } = require('./consumerRegistry');
+const { processEvent } = require('./eventProcessor');
+const { SHUTDOWN_GRACE_PERIOD, waitFor } = require('../utils/shutdown');
+const { eventsFailed } = require('../utils/metrics');
 
 /**
  * Consumer Service for Redis Streams
  * Handles processing events from various streams
  */
 class ConsumerService {
-  constructor(consumerId = 'default-consumer') {
+  /**
+   * @param {string} consumerId - Consumer identifier
+   * @param {Object} options - Optional settings
+   * @param {RetryScheduler} options.retryScheduler - Scheduler used to retry failed events later
+   * @param {HandlerRegistry} options.handlerRegistry - Event handlers (defaults to the shared registry)
+   * @param {string} options.readMode - 'blocking' (XREAD BLOCK, wakes on new messages) or 'polling' (XREAD + sleep)
+   * @param {number} options.blockTime - Block time in milliseconds for blocking reads
+   */
+  constructor(consumerId = 'default-consumer', options = {}) {
     this.consumerId = consumerId;
     this.isRunning = false;
-    this.processedMessages = new Set();
+    this.retryScheduler = options.retryScheduler || null;
+    this.handlerRegistry = options.handlerRegistry || getDefaultRegistry();
+    this.readMode = options.readMode || process.env.CONSUMER_READ_MODE || 'blocking';
+    this.blockTime = options.blockTime || parseInt(process.env.CONSUMER_BLOCK_MS) || 5000;
+    this.readClient = null;
+    this.consumingRun = null;
+    this.state = 'idle';
+    this.startedAt = null;
+    this.streamNames = [];
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      skipped: 0,
+      deadLettered: 0
+    };
+    this.heartbeat = new ConsumerHeartbeat(this);
+  }
+
+  /**
+   * Mark the consumer as running and register it in the consumer registry
+   * @param {Array<string>} streamNames - Streams being consumed
+   */
+  markStarted(streamNames) {
+    this.isRunning = true;
+    this.state = 'running';
+    this.startedAt = new Date().toISOString();
+    this.streamNames = streamNames;
+    this.heartbeat.start();
+  }
+
+  /**
+   * Get the consumer's current status, as reported in its heartbeat
+   * @returns {Object} Consumer status
+   */
+  getStatus() {
+    return {
+      id: this.consumerId,
+      type: 'consumer',
+      group: null,
+      streams: this.streamNames,
+      readMode: this.readMode,
+      state: this.state,
+      startedAt: this.startedAt,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Whether this consumer uses blocking reads
+   * @returns {boolean} True in blocking mode
+   */
+  isBlocking() {
+    return this.readMode === 'blocking';
   }
 
   /**
-   * Start consuming from a single stream
+   * Get the connection and block time for stream reads. Blocking reads
+   * get a dedicated connection so they don't hold up other commands.
+   * @returns {Object} { client, blockTime }
+   */
+  getReadOptions() {
+    if (!this.isBlocking()) {
+      return { client: redis, blockTime: null };
+    }
+
+    if (!this.readClient) {
+      this.readClient = createBlockingConnection(this.consumerId);
+    }
+    return { client: this.readClient, blockTime: this.blockTime };
+  }
+
+  /**
+   * Start consuming from a single stream, resuming from the last
+   * committed checkpoint for this consumer if there is one
    * @param {string} streamName - Name of the stream to consume from
-   * @param {string} startId - Starting message ID
+   * @param {string} startId - Starting message ID when no checkpoint exists
    * @param {number} batchSize - Number of messages to process at once
-   * @param {number} pollInterval - Polling interval in milliseconds
+   * @param {number} pollInterval - Polling interval in milliseconds (polling mode only)
    */
   async startConsuming(streamName, startId = '0', batchSize = 10, pollInterval = 1000) {
-    this.isRunning = true;
-    console.log(`🚀 Starting consumer ${this.consumerId} for stream ${streamName}`);
+    this.markStarted([streamName]);
+
+    const checkpoint = await getCheckpoint(this.consumerId, streamName);
+    const resumeId = checkpoint || startId;
+    console.log(`🚀 Starting consumer ${this.consumerId} (${this.readMode}) for stream ${streamName} from ${checkpoint ? `checkpoint ${checkpoint}` : resumeId}`);
+
+    this.consumingRun = this.consumeLoop(streamName, resumeId, batchSize, pollInterval);
+    await this.consumingRun;
+  }
+
+  /**
+   * Poll a single stream until stopped, committing a checkpoint after each batch
+   * @param {string} streamName - Name of the stream to consume from
+   * @param {string} startId - Starting message ID
+   * @param {number} batchSize - Number of messages to process at once
+   * @param {number} pollInterval - Polling interval in milliseconds (polling mode only)
+   */
+  async consumeLoop(streamName, startId, batchSize, pollInterval) {
+    const { client, blockTime } = this.getReadOptions();
 
     while (this.isRunning) {
       try {
-        const messages = await readFromStream(streamName, startId, batchSize);
+        const messages = await readFromStream(streamName, startId, batchSize, blockTime, client);
         
         if (messages && messages.length > 0) {
           for (const [stream, streamMessages] of messages) {
             for (const [messageId, fields] of streamMessages) {
-              if (!this.processedMessages.has(messageId)) {
-                await this.processMessage(stream, messageId, fields);
-                this.processedMessages.add(messageId);
-                startId = messageId; // Update start ID for next poll
+              // Finish the in-flight message, but don't start new ones once stopped
+              if (!this.isRunning) {
+                break;
               }
+
+              await this.processMessage(stream, messageId, fields);
+              startId = messageId; // Update start ID for next poll
             }
           }
-        } else {
+
+          await this.commitCheckpoint(streamName, startId);
+        } else if (!this.isBlocking()) {
           // No new messages, wait before polling again
           await this.sleep(pollInterval);
         }
@@ -54,35 +159,56 @@ class ConsumerService {
   }
 
   /**
-   * Start consuming from multiple streams
-   * @param {Array} streams - Array of {name, id} objects
+   * Start consuming from multiple streams, resuming each stream from
+   * the last committed checkpoint for this consumer if there is one
+   * @param {Array} streams - Array of {name, id} objects; id is used when no checkpoint exists
    * @param {number} batchSize - Number of messages to process at once
-   * @param {number} pollInterval - Polling interval in milliseconds
+   * @param {number} pollInterval - Polling interval in milliseconds (polling mode only)
    */
   async startConsumingMultiple(streams, batchSize = 10, pollInterval = 1000) {
-    this.isRunning = true;
-    console.log(`🚀 Starting consumer ${this.consumerId} for multiple streams`);
+    this.markStarted(streams.map(stream => stream.name));
+    console.log(`🚀 Starting consumer ${this.consumerId} (${this.readMode}) for multiple streams`);
+
+    const checkpoints = await getCheckpoints(this.consumerId);
+    const positions = streams.map(stream => ({
+      name: stream.name,
+      id: checkpoints[stream.name] || stream.id
+    }));
+
+    this.consumingRun = this.consumeMultipleLoop(positions, batchSize, pollInterval);
+    await this.consumingRun;
+  }
+
+  /**
+   * Poll multiple streams until stopped, committing checkpoints after each batch
+   * @param {Array} streams - Array of {name, id} objects
+   * @param {number} batchSize - Number of messages to process at once
+   * @param {number} pollInterval - Polling interval in milliseconds (polling mode only)
+   */
+  async consumeMultipleLoop(streams, batchSize, pollInterval) {
+    const { client, blockTime } = this.getReadOptions();
 
     while (this.isRunning) {
       try {
-        const messages = await readFromStreams(streams, batchSize);
+        const messages = await readFromStreams(streams, batchSize, blockTime, client);
         
         if (messages && messages.length > 0) {
           for (const [stream, streamMessages] of messages) {
+            const position = streams.find(s => s.name === stream);
+
             for (const [messageId, fields] of streamMessages) {
-              if (!this.processedMessages.has(messageId)) {
-                await this.processMessage(stream, messageId, fields);
-                this.processedMessages.add(messageId);
-                
-                // Update the start ID for this stream
-                const streamIndex = streams.findIndex(s => s.name === stream);
-                if (streamIndex !== -1) {
-                  streams[streamIndex].id = messageId;
-                }
+              // Finish the in-flight message, but don't start new ones once stopped
+              if (!this.isRunning) {
+                break;
               }
+
+              await this.processMessage(stream, messageId, fields);
+              position.id = messageId; // Update the start ID for this stream
             }
+
+            await this.commitCheckpoint(stream, position.id);
           }
-        } else {
+        } else if (!this.isBlocking()) {
           await this.sleep(pollInterval);
         }
       } catch (error) {
@@ -92,6 +218,20 @@ class ConsumerService {
     }
   }
 
+  /**
+   * Durably record how far this consumer has read a stream
+   * @param {string} streamName - Name of the stream
+   * @param {string} messageId - Last processed message ID
+   */
+  async commitCheckpoint(streamName, messageId) {
+    try {
+      await commitCheckpoint(this.consumerId, streamName, messageId);
+    } catch (error) {
+      // The batch will be re-read after a restart; idempotent persistence skips it
+      console.error(`❌ Error committing checkpoint for ${this.consumerId}:`, error);
+    }
+  }
+
   /**
    * Process a single message
    * @param {string} streamName - Name of the stream
@@ -99,243 +239,121 @@ class ConsumerService {
    * @param {Array} fields - Message fields
    */
   async processMessage(streamName, messageId, fields) {
+    let messageData;
+
     try {
       // Parse message fields
-      const messageData = this.parseMessageFields(fields);
-      const { eventType, payload } = messageData;
+      messageData = parseMessageFields(fields);
+    } catch (error) {
+      this.stats.failed++;
+      eventsFailed.inc({ stream: streamName, event_type: 'unknown', consumer_group: this.consumerId });
+      console.error(`❌ Error parsing message ${messageId}:`, error);
+      await this.deadLetter(streamName, messageId, fields, error, 1);
+      return;
+    }
+
+    try {
+      // Retries are addressed to the consumer whose handling failed
+      if (messageData.targetGroup && messageData.targetGroup !== this.consumerId) {
+        this.stats.skipped++;
+        return;
+      }
 
-      console.log(`📥 Processing message ${messageId} from ${streamName}: ${eventType}`);
+      console.log(`📥 Processing message ${messageId} from ${streamName}: ${messageData.eventType}`);
 
-      // Save event to database
-      await this.saveEventToDatabase(streamName, messageId, eventType, payload);
+      const { alreadyProcessed } = await processEvent({
+        streamName,
+        messageId,
+        messageData,
+        consumerGroup: this.consumerId,
+        consumerId: this.consumerId,
+        handlerRegistry: this.handlerRegistry
+      });
 
-      // Process based on event type
-      await this.handleEvent(eventType, payload, streamName, messageId);
+      if (alreadyProcessed) {
+        console.log(`⏭️ Skipping already processed message ${messageId}`);
+        this.stats.skipped++;
+        return;
+      }
 
+      this.stats.processed++;
       console.log(`✅ Successfully processed message ${messageId}`);
     } catch (error) {
+      this.stats.failed++;
       console.error(`❌ Error processing message ${messageId}:`, error);
-      await this.handleProcessingError(streamName, messageId, error);
+      await this.scheduleRetry(streamName, messageId, fields, messageData, error);
     }
   }
 
   /**
-   * Parse message fields into structured data
-   * @param {Array} fields - Raw message fields
-   * @returns {Object} Parsed message data
+   * Hand a failed message to the retry scheduler. The checkpoint moves past
+   * the message either way, so once retries are exhausted (or without a
+   * scheduler) it goes to the dead-letter stream rather than being dropped.
+   * @param {string} streamName - Name of the stream
+   * @param {string} messageId - Message ID
+   * @param {Array} fields - Message fields
+   * @param {Object} messageData - Parsed message data
+   * @param {Error} error - Error from the failed attempt
    */
-  parseMessageFields(fields) {
-    const data = {};
-    for (let i = 0; i < fields.length; i += 2) {
-      data[fields[i]] = fields[i + 1];
+  async scheduleRetry(streamName, messageId, fields, messageData, error) {
+    if (this.retryScheduler) {
+      try {
+        if (await this.retryScheduler.scheduleRetry(streamName, messageData, error, this.consumerId)) {
+          return;
+        }
+      } catch (retryError) {
+        console.error(`❌ Error scheduling retry for message ${messageId}:`, retryError);
+      }
     }
 
-    return {
-      eventType: data.eventType,
-      payload: JSON.parse(data.payload || '{}'),
-      timestamp: parseInt(data.timestamp) || Date.now(),
-      id: data.id
-    };
+    await this.deadLetter(streamName, messageId, fields, error, (messageData.attempt || 0) + 1);
   }
 
   /**
-   * Save event to database
-   * @param {string} streamName - Stream name
+   * Move a message this consumer gave up on to the dead-letter stream
+   * @param {string} streamName - Name of the stream
    * @param {string} messageId - Message ID
-   * @param {string} eventType - Event type
-   * @param {Object} payload - Event payload
+   * @param {Array} fields - Message fields
+   * @param {Error} error - Error from the last attempt
+   * @param {number} attempts - Number of attempts made
    */
-  async saveEventToDatabase(streamName, messageId, eventType, payload) {
+  async deadLetter(streamName, messageId, fields, error, attempts) {
     try {
-      // Extract userId from payload if available
-      const userId = payload.userId || null;
-      
-      await Event.create({
-        streamId: messageId,
-        eventType,
-        payload,
-        processed: false,
-        consumerId: this.consumerId,
-        userId: userId
-      });
-    } catch (error) {
-      console.error('❌ Error saving event to database:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Handle different event types
-   * @param {string} eventType - Event type
-   * @param {Object} payload - Event payload
-   * @param {string} streamName - Stream name
-   * @param {string} messageId - Message ID
-   */
-  async handleEvent(eventType, payload, streamName, messageId) {
-    switch (eventType) {
-      case EVENT_TYPES.USER_CREATED:
-        await this.handleUserCreated(payload);
-        break;
-      case EVENT_TYPES.USER_UPDATED:
-        await this.handleUserUpdated(payload);
-        break;
-      case EVENT_TYPES.USER_DELETED:
-        await this.handleUserDeleted(payload);
-        break;
-      case EVENT_TYPES.MESSAGE_SENT:
-        await this.handleMessageSent(payload);
-        break;
-      case EVENT_TYPES.TASK_CREATED:
-        await this.handleTaskCreated(payload);
-        break;
-      case EVENT_TYPES.TASK_COMPLETED:
-        await this.handleTaskCompleted(payload);
-        break;
-      case EVENT_TYPES.SYSTEM_ERROR:
-        await this.handleSystemError(payload);
-        break;
-      case EVENT_TYPES.SYSTEM_INFO:
-        await this.handleSystemInfo(payload);
-        break;
-      default:
-        console.log(`ℹ️ Unknown event type: ${eventType}`);
+      await moveToDeadLetter(streamName, this.consumerId, messageId, fields, error.message, attempts, { acknowledge: false });
+      this.stats.deadLettered++;
+    } catch (dlqError) {
+      console.error(`❌ Message ${messageId} from ${streamName} was not retried or dead-lettered and is lost:`, dlqError);
     }
-
-    // Mark event as processed in database
-    await this.markEventAsProcessed(messageId);
-  }
-
-  /**
-   * Handle user created event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserCreated(payload) {
-    console.log(`👤 User created: ${payload.username} (${payload.email})`);
-    // Add your business logic here
-    // e.g., send welcome email, create user profile, etc.
-  }
-
-  /**
-   * Handle user updated event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserUpdated(payload) {
-    console.log(`👤 User updated: ${payload.username}`);
-    console.log(`📝 Changes:`, payload.changes);
-    // Add your business logic here
-  }
-
-  /**
-   * Handle user deleted event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserDeleted(payload) {
-    console.log(`👤 User deleted: ${payload.username}`);
-    // Add your business logic here
-    // e.g., cleanup user data, send notification, etc.
-  }
-
-  /**
-   * Handle message sent event
-   * @param {Object} payload - Event payload
-   */
-  async handleMessageSent(payload) {
-    console.log(`💬 Message sent from ${payload.senderId} to ${payload.receiverId}`);
-    console.log(`📄 Content: ${payload.content}`);
-    // Add your business logic here
-    // e.g., real-time notifications, message indexing, etc.
   }
 
   /**
-   * Handle task created event
-   * @param {Object} payload - Event payload
+   * Stop the consumer: no new messages are read, and the in-flight
+   * message gets up to the grace period to finish
+   * @param {number} gracePeriod - Maximum time (ms) to wait for the in-flight message
+   * @returns {Promise<boolean>} True if the consumer finished in time
    */
-  async handleTaskCreated(payload) {
-    console.log(`📋 Task created: ${payload.title}`);
-    console.log(`👤 Assigned to: ${payload.assignedTo}`);
-    // Add your business logic here
-    // e.g., send notification to assignee, update dashboard, etc.
-  }
-
-  /**
-   * Handle task completed event
-   * @param {Object} payload - Event payload
-   */
-  async handleTaskCompleted(payload) {
-    console.log(`✅ Task completed: ${payload.taskId}`);
-    console.log(`👤 Completed by: ${payload.completedBy}`);
-    // Add your business logic here
-    // e.g., update project status, send completion notification, etc.
-  }
-
-  /**
-   * Handle system error event
-   * @param {Object} payload - Event payload
-   */
-  async handleSystemError(payload) {
-    console.error(`🚨 System Error: ${payload.message}`);
-    console.error(`📊 Metadata:`, payload.metadata);
-    // Add your business logic here
-    // e.g., alert monitoring system, log to external service, etc.
-  }
+  async stop(gracePeriod = SHUTDOWN_GRACE_PERIOD) {
+    console.log(`🛑 Stopping consumer ${this.consumerId}`);
+    this.isRunning = false;
+    this.state = 'stopping';
 
-  /**
-   * Handle system info event
-   * @param {Object} payload - Event payload
-   */
-  async handleSystemInfo(payload) {
-    console.log(`ℹ️ System Info: ${payload.message}`);
-    // Add your business logic here
-  }
+    const drained = await waitFor(this.consumingRun || Promise.resolve(), gracePeriod);
 
-  /**
-   * Mark event as processed in database
-   * @param {string} messageId - Message ID
-   */
-  async markEventAsProcessed(messageId) {
-    try {
-      await Event.update(
-        { 
-          processed: true, 
-          processedAt: new Date() 
-        },
-        { 
-          where: { streamId: messageId } 
-        }
-      );
-    } catch (error) {
-      console.error('❌ Error marking event as processed:', error);
+    if (drained) {
+      console.log(`✅ Consumer ${this.consumerId} drained`);
+    } else {
+      console.warn(`⚠️ Consumer ${this.consumerId} still had a message in flight after ${gracePeriod}ms`);
     }
-  }
 
-  /**
-   * Handle processing error
-   * @param {string} streamName - Stream name
-   * @param {string} messageId - Message ID
-   * @param {Error} error - Error object
-   */
-  async handleProcessingError(streamName, messageId, error) {
-    try {
-      await Event.update(
-        { 
-          error: error.message,
-          processedAt: new Date()
-        },
-        { 
-          where: { streamId: messageId } 
-        }
-      );
-    } catch (dbError) {
-      console.error('❌ Error updating event with error:', dbError);
+    if (this.readClient) {
+      releaseConnection(this.readClient);
+      this.readClient = null;
     }
-  }
 
-  /**
-   * Stop the consumer
-   */
-  stop() {
-    console.log(`🛑 Stopping consumer ${this.consumerId}`);
-    this.isRunning = false;
+    this.state = 'stopped';
+    await this.heartbeat.stop();
+
+    return drained;
   }
 
   /**
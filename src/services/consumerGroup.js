@@ -1,24 +1,85 @@
+const { createBlockingConnection, releaseConnection } = require('../config/redis');
 const { 
   createConsumerGroup,
   readFromConsumerGroup,
   acknowledgeMessage,
+  autoClaimMessages,
+  getPendingMessageInfo,
+  moveToDeadLetter,
   getStreamInfo,
   getConsumerGroupInfo,
-  STREAMS,
-  EVENT_TYPES 
+  parseMessageFields,
+  STREAMS 
 } = require('../utils/streamUtils');
-const { Event } = require('../models');
+const { getDefaultRegistry } = require('./handlerRegistry');
+const { ConsumerHeartbeat } = require('./consumerRegistry');
+const { processEvent } = require('./eventProcessor');
+const KeyedWorkerPool = require('../utils/keyedWorkerPool');
+const { SHUTDOWN_GRACE_PERIOD, waitFor } = require('../utils/shutdown');
+const { eventsFailed } = require('../utils/metrics');
+
+/**
+ * Default partition key: messages about the same user, chat room or task
+ * are processed in order; anything else may run in parallel
+ * @param {Object} messageData - Parsed message data
+ * @param {string} messageId - Message ID
+ * @returns {string} Partition key
+ */
+const defaultKeyExtractor = (messageData, messageId) => {
+  const { payload = {} } = messageData;
+  return payload.userId || payload.roomId || payload.taskId || messageId;
+};
 
 /**
  * Consumer Group Service for Redis Streams
  * Provides reliable message processing with consumer groups
  */
 class ConsumerGroupService {
-  constructor(groupName, consumerName) {
+  /**
+   * @param {string} groupName - Name of the consumer group
+   * @param {string} consumerName - Name of this consumer within the group
+   * @param {Object} options - Optional settings
+   * @param {number} options.claimMinIdleTime - Idle time (ms) before another consumer's pending message is reclaimed
+   * @param {number} options.claimInterval - How often (ms) to scan for stuck pending messages
+   * @param {number} options.claimBatchSize - Maximum number of messages claimed per XAUTOCLAIM call
+   * @param {number} options.maxDeliveries - Delivery attempts after which a failing message is dead-lettered
+   * @param {RetryScheduler} options.retryScheduler - Scheduler used to retry failed events later
+   * @param {number} options.concurrency - Default number of messages processed in parallel per stream
+   * @param {Object} options.streamOptions - Per-stream overrides: { [streamName]: { concurrency, keyExtractor } }
+   * @param {HandlerRegistry} options.handlerRegistry - Event handlers (defaults to the group's handlers from the shared registry)
+   */
+  constructor(groupName, consumerName, options = {}) {
     this.groupName = groupName;
     this.consumerName = consumerName;
     this.isRunning = false;
     this.streams = [];
+    this.options = {
+      claimMinIdleTime: parseInt(process.env.CLAIM_MIN_IDLE_MS) || 60000,
+      claimInterval: parseInt(process.env.CLAIM_INTERVAL_MS) || 30000,
+      claimBatchSize: 10,
+      maxDeliveries: parseInt(process.env.MAX_DELIVERY_ATTEMPTS) || 5,
+      concurrency: parseInt(process.env.CONSUMER_CONCURRENCY) || 1,
+      streamOptions: {},
+      ...options
+    };
+    this.retryScheduler = this.options.retryScheduler || null;
+    this.handlerRegistry = this.options.handlerRegistry || getDefaultRegistry().forGroup(groupName);
+    this.workerPools = new Map();
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      skipped: 0,
+      reclaimed: 0,
+      deadLettered: 0
+    };
+    this.reclaimTimer = null;
+    this.reclaimRun = null;
+    this.consumingRun = null;
+    this.readClient = null;
+    this.state = 'idle';
+    this.startedAt = null;
+    this.streamNames = [];
+    this.heartbeat = new ConsumerHeartbeat(this);
   }
 
   /**
@@ -29,7 +90,9 @@ class ConsumerGroupService {
   async initializeGroup(streamName, startId = '0') {
     try {
       await createConsumerGroup(streamName, this.groupName, startId);
-      this.streams.push({ name: streamName, id: '>' });
+      if (!this.streams.some(stream => stream.name === streamName)) {
+        this.streams.push({ name: streamName, id: '>' });
+      }
       console.log(`✅ Initialized consumer group ${this.groupName} for stream ${streamName}`);
     } catch (error) {
       console.error(`❌ Error initializing consumer group:`, error);
@@ -39,30 +102,62 @@ class ConsumerGroupService {
 
   /**
    * Start consuming from consumer group
-   * @param {string} streamName - Name of the stream
-   * @param {number} batchSize - Number of messages to process at once
+   * @param {string|Array<string>} streamName - Stream(s) to consume; defaults to every initialized stream
+   * @param {number} batchSize - Number of messages to process at once (per stream)
    * @param {number} blockTime - Block time in milliseconds
    */
-  async startConsuming(streamName, batchSize = 1, blockTime = 1000) {
+  async startConsuming(streamName = null, batchSize = 1, blockTime = 1000) {
+    const streamNames = streamName
+      ? [].concat(streamName)
+      : this.streams.map(stream => stream.name);
+
+    if (streamNames.length === 0) {
+      throw new Error(`No streams initialized for consumer group ${this.groupName}`);
+    }
+
     this.isRunning = true;
-    console.log(`🚀 Starting consumer group ${this.groupName} (${this.consumerName}) for stream ${streamName}`);
+    this.state = 'running';
+    this.startedAt = new Date().toISOString();
+    this.streamNames = streamNames;
+    console.log(`🚀 Starting consumer group ${this.groupName} (${this.consumerName}) for streams ${streamNames.join(', ')}`);
+
+    this.heartbeat.start();
+
+    this.startReclaimer(streamNames);
+
+    this.consumingRun = this.consumeLoop(streamNames, batchSize, blockTime);
+    await this.consumingRun;
+  }
+
+  /**
+   * Read and process batches until stopped. Each batch is fully processed
+   * (and acknowledged) before the running flag is checked again.
+   * @param {Array<string>} streamNames - Streams to consume
+   * @param {number} batchSize - Number of messages to process at once (per stream)
+   * @param {number} blockTime - Block time in milliseconds
+   */
+  async consumeLoop(streamNames, batchSize, blockTime) {
+    // XREADGROUP BLOCK gets its own connection so acks and claims aren't queued behind it
+    if (!this.readClient) {
+      this.readClient = createBlockingConnection(`${this.groupName}:${this.consumerName}`);
+    }
 
     while (this.isRunning) {
       try {
+        // One blocking XREADGROUP across all streams
         const messages = await readFromConsumerGroup(
-          streamName,
+          streamNames,
           this.groupName,
           this.consumerName,
           batchSize,
-          blockTime
+          blockTime,
+          this.readClient
         );
 
         if (messages && messages.length > 0) {
-          for (const [stream, streamMessages] of messages) {
-            for (const [messageId, fields] of streamMessages) {
-              await this.processMessage(stream, messageId, fields);
-            }
-          }
+          await Promise.all(messages.map(([stream, streamMessages]) =>
+            this.processBatch(stream, streamMessages)
+          ));
         }
       } catch (error) {
         console.error(`❌ Error in consumer group ${this.groupName}:`, error);
@@ -71,6 +166,84 @@ class ConsumerGroupService {
     }
   }
 
+  /**
+   * Get the consumer's current status, as reported in its heartbeat
+   * @returns {Object} Consumer status
+   */
+  getStatus() {
+    return {
+      id: `${this.groupName}:${this.consumerName}`,
+      type: 'consumer-group',
+      group: this.groupName,
+      consumer: this.consumerName,
+      streams: this.streamNames,
+      state: this.state,
+      startedAt: this.startedAt,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Get the processing options for a stream
+   * @param {string} streamName - Name of the stream
+   * @returns {Object} { concurrency, keyExtractor }
+   */
+  getStreamOptions(streamName) {
+    return {
+      concurrency: this.options.concurrency,
+      keyExtractor: defaultKeyExtractor,
+      ...this.options.streamOptions[streamName]
+    };
+  }
+
+  /**
+   * Get (or create) the worker pool for a stream
+   * @param {string} streamName - Name of the stream
+   * @returns {KeyedWorkerPool} Worker pool
+   */
+  getWorkerPool(streamName) {
+    if (!this.workerPools.has(streamName)) {
+      const { concurrency } = this.getStreamOptions(streamName);
+      this.workerPools.set(streamName, new KeyedWorkerPool(concurrency));
+    }
+    return this.workerPools.get(streamName);
+  }
+
+  /**
+   * Get the partition key for a message
+   * @param {string} streamName - Name of the stream
+   * @param {string} messageId - Message ID
+   * @param {Array} fields - Message fields
+   * @returns {string} Partition key
+   */
+  getPartitionKey(streamName, messageId, fields) {
+    try {
+      const { keyExtractor } = this.getStreamOptions(streamName);
+      return String(keyExtractor(parseMessageFields(fields), messageId) || messageId);
+    } catch (error) {
+      // Unparseable messages fail in processMessage; they need no ordering
+      return messageId;
+    }
+  }
+
+  /**
+   * Process a batch of messages in parallel, keeping messages that
+   * share a partition key in order. Each message is acknowledged as
+   * soon as it completes.
+   * @param {string} streamName - Name of the stream
+   * @param {Array} messages - Array of [messageId, fields]
+   */
+  async processBatch(streamName, messages) {
+    const pool = this.getWorkerPool(streamName);
+
+    await Promise.all(messages.map(([messageId, fields]) =>
+      pool.submit(
+        this.getPartitionKey(streamName, messageId, fields),
+        () => this.processMessage(streamName, messageId, fields)
+      )
+    ));
+  }
+
   /**
    * Process a single message with acknowledgment
    * @param {string} streamName - Name of the stream
@@ -78,236 +251,223 @@ class ConsumerGroupService {
    * @param {Array} fields - Message fields
    */
   async processMessage(streamName, messageId, fields) {
+    let messageData;
+
     try {
       // Parse message fields
-      const messageData = this.parseMessageFields(fields);
-      const { eventType, payload } = messageData;
+      messageData = parseMessageFields(fields);
+    } catch (error) {
+      this.stats.failed++;
+      eventsFailed.inc({ stream: streamName, event_type: 'unknown', consumer_group: this.groupName });
+      console.error(`❌ Error parsing message ${messageId}:`, error);
+      await this.checkDeliveryLimit(streamName, messageId, fields, error);
+      return;
+    }
 
-      console.log(`📥 Processing message ${messageId} from ${streamName}: ${eventType}`);
+    try {
+      // Retries are addressed to the group whose handling failed
+      if (messageData.targetGroup && messageData.targetGroup !== this.groupName) {
+        await acknowledgeMessage(streamName, this.groupName, messageId);
+        this.stats.skipped++;
+        return;
+      }
 
-      // Save event to database
-      await this.saveEventToDatabase(streamName, messageId, eventType, payload);
+      console.log(`📥 Processing message ${messageId} from ${streamName}: ${messageData.eventType}`);
 
-      // Process the event
-      await this.handleEvent(eventType, payload, streamName, messageId);
+      const { alreadyProcessed } = await processEvent({
+        streamName,
+        messageId,
+        messageData,
+        consumerGroup: this.groupName,
+        consumerId: `${this.groupName}:${this.consumerName}`,
+        handlerRegistry: this.handlerRegistry
+      });
 
-      // Acknowledge message processing
+      // Acknowledge message processing; messages this group already processed are skipped
       await acknowledgeMessage(streamName, this.groupName, messageId);
 
-      // Mark as processed in database
-      await this.markEventAsProcessed(messageId);
+      if (alreadyProcessed) {
+        console.log(`⏭️ Skipping already processed message ${messageId}`);
+        this.stats.skipped++;
+        return;
+      }
 
+      this.stats.processed++;
       console.log(`✅ Successfully processed and acknowledged message ${messageId}`);
     } catch (error) {
+      this.stats.failed++;
       console.error(`❌ Error processing message ${messageId}:`, error);
-      await this.handleProcessingError(streamName, messageId, error);
+
+      if (this.retryScheduler) {
+        await this.scheduleRetry(streamName, messageId, fields, messageData, error);
+        return;
+      }
       
       // Note: We don't acknowledge the message on error
       // This allows it to be reprocessed by another consumer
+      // until it exceeds the max delivery count
+      await this.checkDeliveryLimit(streamName, messageId, fields, error);
     }
   }
 
   /**
-   * Parse message fields into structured data
-   * @param {Array} fields - Raw message fields
-   * @returns {Object} Parsed message data
+   * Hand a failed message to the retry scheduler. The retry is written
+   * as a new stream entry, so the original is acknowledged; once retries
+   * are exhausted the message goes straight to the dead-letter stream.
+   * @param {string} streamName - Name of the stream
+   * @param {string} messageId - Message ID
+   * @param {Array} fields - Message fields
+   * @param {Object} messageData - Parsed message data
+   * @param {Error} error - Error from the failed attempt
    */
-  parseMessageFields(fields) {
-    const data = {};
-    for (let i = 0; i < fields.length; i += 2) {
-      data[fields[i]] = fields[i + 1];
-    }
+  async scheduleRetry(streamName, messageId, fields, messageData, error) {
+    try {
+      const scheduled = await this.retryScheduler.scheduleRetry(streamName, messageData, error, this.groupName);
 
-    return {
-      eventType: data.eventType,
-      payload: JSON.parse(data.payload || '{}'),
-      timestamp: parseInt(data.timestamp) || Date.now(),
-      id: data.id
-    };
+      if (scheduled) {
+        await acknowledgeMessage(streamName, this.groupName, messageId);
+        return;
+      }
+
+      await moveToDeadLetter(
+        streamName,
+        this.groupName,
+        messageId,
+        fields,
+        error.message,
+        messageData.attempt + 1
+      );
+      this.stats.deadLettered++;
+    } catch (retryError) {
+      // Leave the message pending so the reclaimer picks it up again
+      console.error(`❌ Error scheduling retry for message ${messageId}:`, retryError);
+    }
   }
 
   /**
-   * Save event to database
-   * @param {string} streamName - Stream name
+   * Move a failing message to the dead-letter stream once it has
+   * been delivered more than the configured max delivery count
+   * @param {string} streamName - Name of the stream
    * @param {string} messageId - Message ID
-   * @param {string} eventType - Event type
-   * @param {Object} payload - Event payload
+   * @param {Array} fields - Message fields
+   * @param {Error} error - Error from the last attempt
    */
-  async saveEventToDatabase(streamName, messageId, eventType, payload) {
+  async checkDeliveryLimit(streamName, messageId, fields, error) {
     try {
-      // Extract userId from payload if available
-      const userId = payload.userId || null;
-      
-      await Event.create({
-        streamId: messageId,
-        eventType,
-        payload,
-        processed: false,
-        consumerId: `${this.groupName}:${this.consumerName}`,
-        userId: userId
-      });
-    } catch (error) {
-      console.error('❌ Error saving event to database:', error);
-      throw error;
+      const pending = await getPendingMessageInfo(streamName, this.groupName, messageId);
+      if (!pending || pending.deliveryCount < this.options.maxDeliveries) {
+        return;
+      }
+
+      await moveToDeadLetter(
+        streamName,
+        this.groupName,
+        messageId,
+        fields,
+        error.message,
+        pending.deliveryCount
+      );
+      this.stats.deadLettered++;
+    } catch (dlqError) {
+      console.error(`❌ Error checking delivery limit for message ${messageId}:`, dlqError);
     }
   }
 
   /**
-   * Handle different event types
-   * @param {string} eventType - Event type
-   * @param {Object} payload - Event payload
-   * @param {string} streamName - Stream name
-   * @param {string} messageId - Message ID
+   * Start the background reclaimer for stuck pending messages
+   * @param {Array<string>} streamNames - Streams whose pending entries should be scanned
    */
-  async handleEvent(eventType, payload, streamName, messageId) {
-    switch (eventType) {
-      case EVENT_TYPES.USER_CREATED:
-        await this.handleUserCreated(payload);
-        break;
-      case EVENT_TYPES.USER_UPDATED:
-        await this.handleUserUpdated(payload);
-        break;
-      case EVENT_TYPES.USER_DELETED:
-        await this.handleUserDeleted(payload);
-        break;
-      case EVENT_TYPES.MESSAGE_SENT:
-        await this.handleMessageSent(payload);
-        break;
-      case EVENT_TYPES.TASK_CREATED:
-        await this.handleTaskCreated(payload);
-        break;
-      case EVENT_TYPES.TASK_COMPLETED:
-        await this.handleTaskCompleted(payload);
-        break;
-      case EVENT_TYPES.SYSTEM_ERROR:
-        await this.handleSystemError(payload);
-        break;
-      case EVENT_TYPES.SYSTEM_INFO:
-        await this.handleSystemInfo(payload);
-        break;
-      default:
-        console.log(`ℹ️ Unknown event type: ${eventType}`);
+  startReclaimer(streamNames) {
+    if (this.reclaimTimer) {
+      return;
     }
-  }
 
-  /**
-   * Handle user created event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserCreated(payload) {
-    console.log(`👤 [${this.consumerName}] User created: ${payload.username} (${payload.email})`);
-    // Simulate some processing time
-    await this.sleep(Math.random() * 1000);
-  }
+    console.log(`♻️ Starting reclaimer for ${this.groupName} (${this.consumerName}): min idle ${this.options.claimMinIdleTime}ms, every ${this.options.claimInterval}ms`);
 
-  /**
-   * Handle user updated event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserUpdated(payload) {
-    console.log(`👤 [${this.consumerName}] User updated: ${payload.username}`);
-    console.log(`📝 [${this.consumerName}] Changes:`, payload.changes);
-    await this.sleep(Math.random() * 500);
-  }
+    this.reclaimTimer = setInterval(() => {
+      if (this.reclaimRun) {
+        return;
+      }
 
-  /**
-   * Handle user deleted event
-   * @param {Object} payload - Event payload
-   */
-  async handleUserDeleted(payload) {
-    console.log(`👤 [${this.consumerName}] User deleted: ${payload.username}`);
-    await this.sleep(Math.random() * 800);
+      // Keep a handle on the running scan so stop() can wait for it
+      this.reclaimRun = this.runReclaimer(streamNames).finally(() => {
+        this.reclaimRun = null;
+      });
+    }, this.options.claimInterval);
   }
 
   /**
-   * Handle message sent event
-   * @param {Object} payload - Event payload
+   * Run one reclaim scan over the given streams
+   * @param {Array<string>} streamNames - Streams whose pending entries should be scanned
    */
-  async handleMessageSent(payload) {
-    console.log(`💬 [${this.consumerName}] Message sent from ${payload.senderId} to ${payload.receiverId}`);
-    console.log(`📄 [${this.consumerName}] Content: ${payload.content}`);
-    await this.sleep(Math.random() * 300);
+  async runReclaimer(streamNames) {
+    try {
+      for (const streamName of streamNames) {
+        await this.reclaimPendingMessages(streamName);
+      }
+    } catch (error) {
+      console.error(`❌ Error reclaiming pending messages in group ${this.groupName}:`, error);
+    }
   }
 
   /**
-   * Handle task created event
-   * @param {Object} payload - Event payload
+   * Stop the background reclaimer
    */
-  async handleTaskCreated(payload) {
-    console.log(`📋 [${this.consumerName}] Task created: ${payload.title}`);
-    console.log(`👤 [${this.consumerName}] Assigned to: ${payload.assignedTo}`);
-    await this.sleep(Math.random() * 600);
+  stopReclaimer() {
+    if (this.reclaimTimer) {
+      clearInterval(this.reclaimTimer);
+      this.reclaimTimer = null;
+    }
   }
 
   /**
-   * Handle task completed event
-   * @param {Object} payload - Event payload
+   * Claim messages that have been pending longer than the min idle time
+   * and reprocess them through the normal processing path
+   * @param {string} streamName - Name of the stream
+   * @returns {Promise<number>} Number of reclaimed messages
    */
-  async handleTaskCompleted(payload) {
-    console.log(`✅ [${this.consumerName}] Task completed: ${payload.taskId}`);
-    console.log(`👤 [${this.consumerName}] Completed by: ${payload.completedBy}`);
-    await this.sleep(Math.random() * 400);
-  }
+  async reclaimPendingMessages(streamName) {
+    let cursor = '0-0';
+    let reclaimed = 0;
 
-  /**
-   * Handle system error event
-   * @param {Object} payload - Event payload
-   */
-  async handleSystemError(payload) {
-    console.error(`🚨 [${this.consumerName}] System Error: ${payload.message}`);
-    console.error(`📊 [${this.consumerName}] Metadata:`, payload.metadata);
-    await this.sleep(Math.random() * 200);
-  }
+    do {
+      const { nextId, messages, deletedIds } = await autoClaimMessages(
+        streamName,
+        this.groupName,
+        this.consumerName,
+        this.options.claimMinIdleTime,
+        cursor,
+        this.options.claimBatchSize
+      );
 
-  /**
-   * Handle system info event
-   * @param {Object} payload - Event payload
-   */
-  async handleSystemInfo(payload) {
-    console.log(`ℹ️ [${this.consumerName}] System Info: ${payload.message}`);
-    await this.sleep(Math.random() * 100);
-  }
+      if (deletedIds.length > 0) {
+        console.log(`🗑️ [${this.consumerName}] Dropped ${deletedIds.length} pending entries deleted from ${streamName}`);
+      }
 
-  /**
-   * Mark event as processed in database
-   * @param {string} messageId - Message ID
-   */
-  async markEventAsProcessed(messageId) {
-    try {
-      await Event.update(
-        { 
-          processed: true, 
-          processedAt: new Date() 
-        },
-        { 
-          where: { streamId: messageId } 
+      const claimed = [];
+      for (const [messageId, fields] of messages) {
+        // Redis < 7 returns deleted entries with empty fields instead of listing them separately
+        if (!fields) {
+          await acknowledgeMessage(streamName, this.groupName, messageId);
+          continue;
         }
-      );
-    } catch (error) {
-      console.error('❌ Error marking event as processed:', error);
-    }
-  }
 
-  /**
-   * Handle processing error
-   * @param {string} streamName - Stream name
-   * @param {string} messageId - Message ID
-   * @param {Error} error - Error object
-   */
-  async handleProcessingError(streamName, messageId, error) {
-    try {
-      await Event.update(
-        { 
-          error: error.message,
-          processedAt: new Date()
-        },
-        { 
-          where: { streamId: messageId } 
-        }
-      );
-    } catch (dbError) {
-      console.error('❌ Error updating event with error:', dbError);
+        reclaimed++;
+        this.stats.reclaimed++;
+        console.log(`♻️ [${this.consumerName}] Reclaimed message ${messageId} from ${streamName}`);
+        claimed.push([messageId, fields]);
+      }
+
+      await this.processBatch(streamName, claimed);
+
+      cursor = nextId;
+    } while (cursor !== '0-0' && this.isRunning);
+
+    if (reclaimed > 0) {
+      console.log(`♻️ [${this.consumerName}] Reclaimed ${reclaimed} messages from ${streamName} (total: ${this.stats.reclaimed})`);
     }
+
+    return reclaimed;
   }
 
   /**
@@ -339,11 +499,35 @@ class ConsumerGroupService {
   }
 
   /**
-   * Stop the consumer group
+   * Stop the consumer group: no new batches are fetched, and in-flight
+   * messages get up to the grace period to finish and be acknowledged
+   * @param {number} gracePeriod - Maximum time (ms) to wait for in-flight messages
+   * @returns {Promise<boolean>} True if all in-flight messages finished in time
    */
-  stop() {
+  async stop(gracePeriod = SHUTDOWN_GRACE_PERIOD) {
     console.log(`🛑 Stopping consumer group ${this.groupName} (${this.consumerName})`);
     this.isRunning = false;
+    this.state = 'stopping';
+    this.stopReclaimer();
+
+    const inFlight = [this.consumingRun, this.reclaimRun].filter(Boolean);
+    const drained = await waitFor(Promise.all(inFlight), gracePeriod);
+
+    if (drained) {
+      console.log(`✅ Consumer group ${this.groupName} (${this.consumerName}) drained`);
+    } else {
+      console.warn(`⚠️ Consumer group ${this.groupName} (${this.consumerName}) still had messages in flight after ${gracePeriod}ms`);
+    }
+
+    if (this.readClient) {
+      releaseConnection(this.readClient);
+      this.readClient = null;
+    }
+
+    this.state = 'stopped';
+    await this.heartbeat.stop();
+
+    return drained;
   }
 
   /**
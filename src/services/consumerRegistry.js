@@ -0,0 +1,176 @@
+const os = require('os');
+const { redis } = require('../config/redis');
+
+// Live record per consumer; expires when heartbeats stop
+const LIVE_KEY_PREFIX = 'consumers:live:';
+// Last known record per consumer, kept after it dies
+const RECORDS_KEY = 'consumers:records';
+// Consumer ID -> last heartbeat time, used to find recently dead consumers
+const INDEX_KEY = 'consumers:index';
+
+const HEARTBEAT_INTERVAL = parseInt(process.env.CONSUMER_HEARTBEAT_INTERVAL_MS) || 5000;
+const HEARTBEAT_TTL = parseInt(process.env.CONSUMER_HEARTBEAT_TTL_MS) || 15000;
+// How long the last known record of a dead consumer is kept
+const CONSUMER_RECORD_RETENTION = parseInt(process.env.CONSUMER_RECORD_RETENTION_MS) || 24 * 60 * 60 * 1000;
+// Records removed per prune, so one heartbeat never does much work
+const PRUNE_BATCH_SIZE = 100;
+
+// Remove consumers last seen before ARGV[1] from the index and the records
+// in one step, so a consumer that beats in between keeps its record
+const PRUNE_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+if #ids > 0 then
+  redis.call('ZREM', KEYS[1], unpack(ids))
+  redis.call('HDEL', KEYS[2], unpack(ids))
+end
+return #ids
+`;
+
+/**
+ * Consumer Heartbeat
+ * Registers a running consumer in Redis and refreshes its record on an interval
+ */
+class ConsumerHeartbeat {
+  /**
+   * @param {Object} consumer - Consumer exposing getStatus()
+   * @param {Object} options - Optional settings
+   * @param {number} options.interval - Heartbeat interval in milliseconds
+   * @param {number} options.ttl - Time (ms) without a heartbeat before the consumer counts as dead
+   */
+  constructor(consumer, options = {}) {
+    this.consumer = consumer;
+    this.interval = options.interval || HEARTBEAT_INTERVAL;
+    this.ttl = options.ttl || HEARTBEAT_TTL;
+    this.timer = null;
+  }
+
+  /**
+   * Build the registry record from the consumer's current status
+   * @returns {Object} Consumer record
+   */
+  buildRecord() {
+    return {
+      host: os.hostname(),
+      pid: process.pid,
+      ...this.consumer.getStatus(),
+      lastHeartbeat: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Write the consumer's record and refresh its TTL, then forget
+   * consumers that have been dead longer than the retention period
+   */
+  async beat() {
+    const record = this.buildRecord();
+    const value = JSON.stringify(record);
+
+    await redis.multi()
+      .set(`${LIVE_KEY_PREFIX}${record.id}`, value, 'PX', this.ttl)
+      .hset(RECORDS_KEY, record.id, value)
+      .zadd(INDEX_KEY, Date.now(), record.id)
+      .exec();
+
+    try {
+      await pruneConsumers();
+    } catch (error) {
+      console.error('❌ Error pruning consumer records:', error);
+    }
+  }
+
+  /**
+   * Register the consumer and start sending heartbeats
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const send = () => this.beat().catch(error => {
+      console.error('❌ Error sending consumer heartbeat:', error);
+    });
+
+    send();
+    this.timer = setInterval(send, this.interval);
+  }
+
+  /**
+   * Stop heartbeats and mark the consumer as no longer live
+   */
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    try {
+      const record = this.buildRecord();
+      await redis.multi()
+        .del(`${LIVE_KEY_PREFIX}${record.id}`)
+        .hset(RECORDS_KEY, record.id, JSON.stringify(record))
+        .zadd(INDEX_KEY, Date.now(), record.id)
+        .exec();
+    } catch (error) {
+      console.error('❌ Error deregistering consumer:', error);
+    }
+  }
+}
+
+/**
+ * Forget consumers whose last heartbeat is older than CONSUMER_RECORD_RETENTION
+ * @returns {Promise<number>} Number of consumers removed
+ */
+const pruneConsumers = async () => {
+  return await redis.eval(
+    PRUNE_SCRIPT, 2, INDEX_KEY, RECORDS_KEY,
+    Date.now() - CONSUMER_RECORD_RETENTION, PRUNE_BATCH_SIZE
+  );
+};
+
+/**
+ * List live consumers and consumers that died recently. Nothing is removed;
+ * old records are pruned by the heartbeats (see pruneConsumers).
+ * @param {number} deadWithin - How far back (ms) to report consumers whose heartbeats stopped
+ * @returns {Promise<Object>} { live, dead }
+ */
+const listConsumers = async (deadWithin = 3600000) => {
+  const now = Date.now();
+
+  // Live consumers beat within the TTL, so the window always reaches back that far
+  const ids = await redis.zrevrangebyscore(INDEX_KEY, '+inf', now - Math.max(deadWithin, HEARTBEAT_TTL));
+  if (ids.length === 0) {
+    return { live: [], dead: [] };
+  }
+
+  const liveValues = await redis.mget(...ids.map(id => `${LIVE_KEY_PREFIX}${id}`));
+  const lastKnownValues = await redis.hmget(RECORDS_KEY, ...ids);
+
+  const live = [];
+  const dead = [];
+
+  ids.forEach((id, index) => {
+    const value = liveValues[index] || lastKnownValues[index];
+    if (!value) {
+      return;
+    }
+
+    const record = JSON.parse(value);
+    const lastSeenMs = now - new Date(record.lastHeartbeat).getTime();
+
+    if (liveValues[index]) {
+      live.push({ ...record, alive: true, lastSeenMs });
+    } else if (lastSeenMs <= deadWithin) {
+      dead.push({ ...record, alive: false, lastSeenMs });
+    }
+  });
+
+  return { live, dead };
+};
+
+module.exports = {
+  ConsumerHeartbeat,
+  listConsumers,
+  pruneConsumers
+};
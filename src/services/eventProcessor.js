@@ -0,0 +1,92 @@
+const { recordEvent, markProcessed, markFailed } = require('../utils/eventStore');
+const { runWithContext, getMessageContext } = require('../utils/requestContext');
+const { eventsProcessed, eventsFailed, handlerDuration } = require('../utils/metrics');
+
+/**
+ * Run one stream entry through the event handlers. The entry is recorded in
+ * the events table (entries the consumer group already processed are
+ * skipped), dispatched in its correlation context, marked processed or
+ * failed, and counted in the metrics. Consumers, consumer groups and
+ * replays all process entries through here and only add their own
+ * acknowledgement, retry and progress handling around it.
+ * @param {Object} options - Entry and consumer
+ * @param {string} options.streamName - Stream the entry was read from
+ * @param {string} options.messageId - Message ID
+ * @param {Object} options.messageData - Parsed message data
+ * @param {string} options.consumerGroup - Group the entry is recorded under
+ * @param {string} options.consumerId - Consumer recorded and passed to the handlers
+ * @param {HandlerRegistry} options.handlerRegistry - Handlers to run
+ * @param {string} options.metricsGroup - consumer_group metric label (defaults to consumerGroup)
+ * @param {Object} options.handlerContext - Extra fields passed to the handlers (e.g. replayJobId)
+ * @returns {Promise<Object>} { alreadyProcessed }
+ * @throws {Error} The error that made processing fail, after the entry is marked failed
+ */
+const processEvent = async ({
+  streamName,
+  messageId,
+  messageData,
+  consumerGroup,
+  consumerId,
+  handlerRegistry,
+  metricsGroup = consumerGroup,
+  handlerContext = {}
+}) => {
+  const { eventType, payload } = messageData;
+  const labels = { stream: streamName, event_type: eventType, consumer_group: metricsGroup };
+
+  try {
+    const { alreadyProcessed } = await recordEvent({
+      streamName,
+      messageId,
+      eventKey: messageData.id,
+      consumerGroup,
+      consumerId,
+      eventType,
+      payload,
+      correlationId: messageData.correlationId,
+      causationId: messageData.causationId
+    });
+
+    if (alreadyProcessed) {
+      return { alreadyProcessed: true };
+    }
+
+    // Events published by handlers name this one as their cause
+    const stopTimer = handlerDuration.startTimer(labels);
+    try {
+      await runWithContext(getMessageContext(messageData), () =>
+        handlerRegistry.dispatch(eventType, payload, {
+          streamName,
+          messageId,
+          consumer: consumerId,
+          ...handlerContext
+        })
+      );
+    } finally {
+      stopTimer();
+    }
+  } catch (error) {
+    eventsFailed.inc(labels);
+    try {
+      await markFailed(streamName, messageId, consumerGroup, error);
+    } catch (dbError) {
+      console.error('❌ Error updating event with error:', dbError);
+    }
+    throw error;
+  }
+
+  // Marked before the caller acknowledges, so a crash in between leads
+  // to a skipped redelivery rather than a lost one
+  try {
+    await markProcessed(streamName, messageId, consumerGroup);
+  } catch (error) {
+    console.error('❌ Error marking event as processed:', error);
+  }
+
+  eventsProcessed.inc(labels);
+  return { alreadyProcessed: false };
+};
+
+module.exports = {
+  processEvent
+};
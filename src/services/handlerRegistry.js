@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { getGroupHandlers } = require('../config/consumerGroups');
+
+// Directory scanned for handler modules by the shared registry
+const HANDLERS_DIR = process.env.EVENT_HANDLERS_DIR
+  ? path.resolve(process.env.EVENT_HANDLERS_DIR)
+  : path.join(__dirname, '../handlers');
+
+/**
+ * Event Handler Registry
+ * Maps event types (or wildcard patterns such as 'task.*') to async handlers
+ * shared by ConsumerService and ConsumerGroupService
+ */
+class HandlerRegistry {
+  constructor() {
+    this.handlers = [];
+    this.fallbackHandler = async (payload, context) => {
+      console.log(`ℹ️ [${context.consumer}] Unknown event type: ${context.eventType}`);
+    };
+  }
+
+  /**
+   * Register one or more handlers for an event type or pattern
+   * @param {string} pattern - Event type, 'prefix.*' wildcard, or '*' for every event
+   * @param {...Function} handlers - Async handlers called with (payload, context)
+   * @returns {HandlerRegistry} The registry, for chaining
+   */
+  register(pattern, ...handlers) {
+    for (const handler of handlers) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Handler for ${pattern} must be a function`);
+      }
+      this.handlers.push({ pattern, handler });
+    }
+    return this;
+  }
+
+  /**
+   * Set the handler used when no registered pattern matches
+   * @param {Function} handler - Async handler called with (payload, context)
+   * @returns {HandlerRegistry} The registry, for chaining
+   */
+  setFallback(handler) {
+    this.fallbackHandler = handler;
+    return this;
+  }
+
+  /**
+   * Check whether a pattern matches an event type
+   * @param {string} pattern - Event type or wildcard pattern
+   * @param {string} eventType - Event type
+   * @returns {boolean} True if the pattern matches
+   */
+  matches(pattern, eventType) {
+    if (pattern === '*') {
+      return true;
+    }
+    if (pattern.endsWith('.*')) {
+      return eventType.startsWith(pattern.slice(0, -1));
+    }
+    return pattern === eventType;
+  }
+
+  /**
+   * Get the handlers for an event type, in registration order
+   * @param {string} eventType - Event type
+   * @returns {Array<Function>} Matching handlers (empty if none)
+   */
+  resolve(eventType) {
+    return this.handlers
+      .filter(({ pattern }) => this.matches(pattern, eventType || ''))
+      .map(({ handler }) => handler);
+  }
+
+  /**
+   * Run every handler registered for an event type, one after another.
+   * A failing handler rejects the dispatch so the message can be retried.
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @param {Object} context - Delivery context ({ streamName, messageId, consumer, ... })
+   * @returns {Promise<number>} Number of handlers run
+   */
+  async dispatch(eventType, payload, context = {}) {
+    const handlers = this.resolve(eventType);
+    const handlerContext = { ...context, eventType };
+
+    if (handlers.length === 0) {
+      if (this.fallbackHandler) {
+        await this.fallbackHandler(payload, handlerContext);
+      }
+      return 0;
+    }
+
+    for (const handler of handlers) {
+      await handler(payload, handlerContext);
+    }
+    return handlers.length;
+  }
+
+  /**
+   * Load handler modules from a directory. Each module exports a
+   * function that receives the registry and registers its handlers.
+   * @param {string} directory - Directory containing handler modules
+   * @returns {Array<string>} Loaded module file names
+   */
+  loadFromDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      console.log(`ℹ️ Event handler directory not found: ${directory}`);
+      return [];
+    }
+
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const register = require(path.join(directory, file));
+      if (typeof register !== 'function') {
+        throw new TypeError(`Handler module ${file} must export a function (registry) => {}`);
+      }
+      register(this);
+    }
+
+    console.log(`🧩 Loaded ${files.length} event handler modules from ${directory}`);
+    return files;
+  }
+
+  /**
+   * Build a registry holding only the handlers registered under the given patterns
+   * @param {Array<string>} patterns - Registered patterns to keep
+   * @returns {HandlerRegistry} New registry sharing this registry's fallback
+   */
+  select(patterns) {
+    const selected = new HandlerRegistry();
+    selected.handlers = this.handlers.filter(({ pattern }) => patterns.includes(pattern));
+    selected.fallbackHandler = this.fallbackHandler;
+    return selected;
+  }
+
+  /**
+   * Build a registry holding the handlers a consumer group runs
+   * (see config/consumerGroups.js)
+   * @param {string} groupName - Name of the consumer group
+   * @returns {HandlerRegistry} This registry if the group runs every handler, else a selection
+   */
+  forGroup(groupName) {
+    const patterns = getGroupHandlers(groupName);
+    return patterns ? this.select(patterns) : this;
+  }
+
+  /**
+   * List registered patterns and their handler counts
+   * @returns {Object} { [pattern]: count }
+   */
+  getRegisteredPatterns() {
+    return this.handlers.reduce((patterns, { pattern }) => {
+      patterns[pattern] = (patterns[pattern] || 0) + 1;
+      return patterns;
+    }, {});
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared registry, loading handler modules from the
+ * configured directory the first time it is used
+ * @returns {HandlerRegistry} Shared handler registry
+ */
+const getDefaultRegistry = () => {
+  if (!defaultRegistry) {
+    defaultRegistry = new HandlerRegistry();
+    defaultRegistry.loadFromDirectory(HANDLERS_DIR);
+  }
+  return defaultRegistry;
+};
+
+module.exports = {
+  HandlerRegistry,
+  getDefaultRegistry
+};
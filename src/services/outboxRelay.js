@@ -0,0 +1,256 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OutboxEvent } = require('../models');
+const { addToStream } = require('../utils/streamUtils');
+const { checkBackpressure } = require('../utils/backpressure');
+
+// How often pending outbox events are looked for
+const OUTBOX_POLL_INTERVAL = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+// Outbox events published per poll
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 100;
+// Backoff between attempts to publish an event; attempts never stop, since
+// a delivered event may not be dropped
+const OUTBOX_RETRY_POLICY = {
+  initialDelay: parseInt(process.env.OUTBOX_RETRY_INITIAL_MS) || 1000,
+  multiplier: 2,
+  maxDelay: parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 60000
+};
+// How long sent outbox events are kept before being deleted
+const OUTBOX_SENT_RETENTION = parseInt(process.env.OUTBOX_SENT_RETENTION_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * Outbox Relay
+ * Publishes events written to the outbox_events table by
+ * ProducerService.enqueue and marks them sent. Events of the same aggregate
+ * are published in the order they were written: an event waiting for a
+ * retry holds back the later events of its aggregate. Events for a stream
+ * under backpressure stay pending until it recovers.
+ *
+ * A relay that crashes between XADD and marking the event sent publishes it
+ * again; the event keeps its id, so consumers skip the duplicate.
+ */
+class OutboxRelay {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {number} options.pollInterval - How often (ms) to relay pending events
+   * @param {number} options.batchSize - Maximum number of events relayed per poll
+   */
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || OUTBOX_POLL_INTERVAL;
+    this.batchSize = options.batchSize || OUTBOX_BATCH_SIZE;
+    this.timer = null;
+    this.relayRun = null;
+  }
+
+  /**
+   * Calculate the delay before the next attempt to publish an event
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const { initialDelay, multiplier, maxDelay } = OUTBOX_RETRY_POLICY;
+    return Math.min(initialDelay * Math.pow(multiplier, attempts - 1), maxDelay);
+  }
+
+  /**
+   * Publish pending outbox events in insertion order
+   * @returns {Promise<Object>} { sent, failed, deferred }, or null if another relay holds the lock
+   */
+  async relayPending() {
+    // One relay at a time, across processes, so the order per aggregate
+    // holds. The lock belongs to this connection's session rather than a
+    // transaction, so each event's status is committed as soon as it's known.
+    const { connectionManager } = sequelize;
+    const connection = await connectionManager.getConnection();
+    let holdsLock = false;
+    try {
+      const { rows: [{ locked }] } = await connection.query(
+        "SELECT pg_try_advisory_lock(hashtext('outbox-relay')) AS locked"
+      );
+      if (!locked) {
+        return null;
+      }
+      holdsLock = true;
+
+      try {
+        return await this.relayBatch();
+      } finally {
+        await connection.query("SELECT pg_advisory_unlock(hashtext('outbox-relay'))");
+        holdsLock = false;
+      }
+    } finally {
+      // A connection that may still hold the lock would keep every other relay out
+      if (holdsLock) {
+        await connectionManager.destroyConnection(connection);
+      } else {
+        connectionManager.releaseConnection(connection);
+      }
+    }
+  }
+
+  /**
+   * Get the pending events that are due and not held back by an earlier
+   * pending event of their aggregate that is waiting for a retry
+   * @returns {Promise<Array<OutboxEvent>>} Events in insertion order
+   */
+  async getDueEvents() {
+    return await sequelize.query(
+      `SELECT * FROM outbox_events AS candidate
+       WHERE candidate.status = 'pending'
+         AND candidate.next_attempt_at <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM outbox_events AS earlier
+           WHERE earlier.status = 'pending'
+             AND earlier.aggregate_type = candidate.aggregate_type
+             AND earlier.aggregate_id = candidate.aggregate_id
+             AND earlier.id < candidate.id
+             AND earlier.next_attempt_at > NOW()
+         )
+       ORDER BY candidate.id ASC
+       LIMIT :limit`,
+      {
+        replacements: { limit: this.batchSize },
+        model: OutboxEvent,
+        mapToModel: true
+      }
+    );
+  }
+
+  /**
+   * Publish one batch of due events, committing each event's status on its own
+   * @returns {Promise<Object>} { sent, failed, deferred }
+   */
+  async relayBatch() {
+    const events = await this.getDueEvents();
+
+    // Aggregates with an event that failed or was deferred in this batch
+    const heldBack = new Set();
+    let sent = 0;
+    let failed = 0;
+    let deferred = 0;
+
+    for (const event of events) {
+      const aggregate = `${event.aggregateType}:${event.aggregateId}`;
+      if (heldBack.has(aggregate)) {
+        continue;
+      }
+
+      // Not an attempt: the event waits without backing off
+      if ((await checkBackpressure(event.streamName)).throttled) {
+        heldBack.add(aggregate);
+        deferred++;
+        continue;
+      }
+
+      const attempts = event.attempts + 1;
+      try {
+        const messageId = await addToStream(event.streamName, event.eventType, event.payload, '*', {
+          id: event.eventId,
+          schemaVersion: event.schemaVersion,
+          ...(event.correlationId && { correlationId: event.correlationId }),
+          ...(event.causationId && { causationId: event.causationId })
+        });
+
+        await event.update({
+          status: 'sent',
+          attempts,
+          messageId,
+          sentAt: new Date(),
+          lastError: null
+        });
+        sent++;
+      } catch (error) {
+        const delay = this.getRetryDelay(attempts);
+        await event.update({
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + delay)
+        });
+        heldBack.add(aggregate);
+        failed++;
+        console.error(`❌ Error relaying outbox event ${event.id} (attempt ${attempts}, next in ${delay}ms):`, error.message);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`📮 Relayed ${sent} outbox events`);
+    }
+    return { sent, failed, deferred };
+  }
+
+  /**
+   * Delete sent outbox events older than the retention period
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async purgeSent() {
+    return await OutboxEvent.destroy({
+      where: {
+        status: 'sent',
+        sentAt: { [Op.lt]: new Date(Date.now() - OUTBOX_SENT_RETENTION) }
+      }
+    });
+  }
+
+  /**
+   * Get the number of pending outbox events and the oldest one
+   * @returns {Promise<Object>} { pending, retrying, oldestPending }
+   */
+  async getPendingStats() {
+    const pending = await OutboxEvent.count({ where: { status: 'pending' } });
+    const retrying = await OutboxEvent.count({ where: { status: 'pending', attempts: { [Op.gt]: 0 } } });
+    const oldest = await OutboxEvent.findOne({
+      where: { status: 'pending' },
+      order: [['id', 'ASC']],
+      attributes: ['id', 'eventType', 'aggregateId', 'attempts', 'lastError', 'nextAttemptAt', 'createdAt']
+    });
+
+    return {
+      pending,
+      retrying,
+      oldestPending: oldest
+    };
+  }
+
+  /**
+   * Start the relay loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`📮 Starting outbox relay (poll interval ${this.pollInterval}ms)`);
+
+    this.timer = setInterval(() => {
+      if (this.relayRun) {
+        return;
+      }
+
+      this.relayRun = this.relayPending()
+        .then(() => this.purgeSent())
+        .catch(error => {
+          console.error('❌ Error relaying outbox events:', error);
+        })
+        .finally(() => {
+          this.relayRun = null;
+        });
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop the relay loop, waiting for a running relay to finish
+   */
+  async stop() {
+    if (this.timer) {
+      console.log('🛑 Stopping outbox relay');
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.relayRun) {
+      await this.relayRun;
+    }
+  }
+}
+
+module.exports = OutboxRelay;
@@ -1,5 +1,13 @@
-const { addToStream, STREAMS, EVENT_TYPES } = require('../utils/streamUtils');
-const { User } = require('../models');
+const { addToStream, addBatchToStreams, STREAMS, EVENT_TYPES, BATCH_MODES } = require('../utils/streamUtils');
+const { User, OutboxEvent } = require('../models');
+const { getSchemaRegistry } = require('./schemaRegistry');
+const { SchemaValidationError } = require('../utils/errors');
+const { getCurrentVersion } = require('../utils/upcasters');
+const { waitForCapacity, waitForCapacityAll } = require('../utils/backpressure');
+const { getContext } = require('../utils/requestContext');
+
+// Aggregate type of user events in the outbox
+const USER_AGGREGATE = 'user';
 
 /**
  * Producer Service for Redis Streams
@@ -7,34 +15,77 @@ const { User } = require('../models');
  */
 class ProducerService {
   /**
-   * Publish user creation event
-   * @param {Object} userData - User data
+   * Validate a payload against its event type's schema and publish it.
+   * Every publish goes through here.
+   * @param {string} streamName - Stream name
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
    * @returns {Promise<string>} Message ID
+   * @throws {SchemaValidationError} If the payload doesn't match the registered schema
+   * @throws {BackpressureError} If the stream is backed up
    */
-  static async publishUserCreated(userData) {
-    const payload = {
+  static async publish(streamName, eventType, payload) {
+    await getSchemaRegistry().validate(eventType, payload);
+    await waitForCapacity(streamName);
+    return await addToStream(streamName, eventType, payload);
+  }
+
+  /**
+   * Validate a payload against its event type's schema and write it to the
+   * outbox in the caller's transaction. The outbox relay publishes it once
+   * the transaction has committed, so the event exists if and only if the
+   * state change does.
+   * @param {string} streamName - Stream name
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @param {Object} options - Outbox options
+   * @param {string} options.aggregateType - Type of the changed entity (e.g. 'user')
+   * @param {string} options.aggregateId - ID of the changed entity; its events are published in order
+   * @param {Transaction} options.transaction - Transaction of the state change
+   * @returns {Promise<Object>} Created OutboxEvent
+   * @throws {SchemaValidationError} If the payload doesn't match the registered schema
+   */
+  static async enqueue(streamName, eventType, payload, { aggregateType, aggregateId, transaction }) {
+    await getSchemaRegistry().validate(eventType, payload);
+
+    // The relay publishes outside the request, so keep its correlation now
+    const context = getContext();
+
+    return await OutboxEvent.create({
+      aggregateType,
+      aggregateId: String(aggregateId),
+      streamName,
+      eventType,
+      payload,
+      schemaVersion: getCurrentVersion(eventType),
+      correlationId: context ? context.correlationId : null,
+      causationId: context ? context.causationId : null
+    }, { transaction });
+  }
+
+  /**
+   * Build the user creation event payload
+   * @param {Object} userData - User data
+   * @returns {Object} Event payload
+   */
+  static buildUserCreatedPayload(userData) {
+    return {
       userId: userData.id,
       username: userData.username,
       email: userData.email,
       status: userData.status,
       createdAt: userData.createdAt
     };
-
-    return await addToStream(
-      STREAMS.USER_EVENTS,
-      EVENT_TYPES.USER_CREATED,
-      payload
-    );
   }
 
   /**
-   * Publish user update event
+   * Build the user update event payload
    * @param {Object} userData - Updated user data
    * @param {Object} changes - What changed
-   * @returns {Promise<string>} Message ID
+   * @returns {Object} Event payload
    */
-  static async publishUserUpdated(userData, changes) {
-    const payload = {
+  static buildUserUpdatedPayload(userData, changes) {
+    return {
       userId: userData.id,
       username: userData.username,
       email: userData.email,
@@ -42,11 +93,46 @@ class ProducerService {
       changes,
       updatedAt: userData.updatedAt
     };
+  }
+
+  /**
+   * Build the user deletion event payload
+   * @param {string} userId - User ID
+   * @param {string} username - Username
+   * @returns {Object} Event payload
+   */
+  static buildUserDeletedPayload(userId, username) {
+    return {
+      userId,
+      username,
+      deletedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Publish user creation event
+   * @param {Object} userData - User data
+   * @returns {Promise<string>} Message ID
+   */
+  static async publishUserCreated(userData) {
+    return await ProducerService.publish(
+      STREAMS.USER_EVENTS,
+      EVENT_TYPES.USER_CREATED,
+      ProducerService.buildUserCreatedPayload(userData)
+    );
+  }
 
-    return await addToStream(
+  /**
+   * Publish user update event
+   * @param {Object} userData - Updated user data
+   * @param {Object} changes - What changed
+   * @returns {Promise<string>} Message ID
+   */
+  static async publishUserUpdated(userData, changes) {
+    return await ProducerService.publish(
       STREAMS.USER_EVENTS,
       EVENT_TYPES.USER_UPDATED,
-      payload
+      ProducerService.buildUserUpdatedPayload(userData, changes)
     );
   }
 
@@ -57,16 +143,57 @@ class ProducerService {
    * @returns {Promise<string>} Message ID
    */
   static async publishUserDeleted(userId, username) {
-    const payload = {
-      userId,
-      username,
-      deletedAt: new Date().toISOString()
-    };
+    return await ProducerService.publish(
+      STREAMS.USER_EVENTS,
+      EVENT_TYPES.USER_DELETED,
+      ProducerService.buildUserDeletedPayload(userId, username)
+    );
+  }
+
+  /**
+   * Queue a user creation event in the outbox
+   * @param {Object} userData - User data
+   * @param {Transaction} transaction - Transaction that created the user
+   * @returns {Promise<Object>} Created OutboxEvent
+   */
+  static async enqueueUserCreated(userData, transaction) {
+    return await ProducerService.enqueue(
+      STREAMS.USER_EVENTS,
+      EVENT_TYPES.USER_CREATED,
+      ProducerService.buildUserCreatedPayload(userData),
+      { aggregateType: USER_AGGREGATE, aggregateId: userData.id, transaction }
+    );
+  }
 
-    return await addToStream(
+  /**
+   * Queue a user update event in the outbox
+   * @param {Object} userData - Updated user data
+   * @param {Object} changes - What changed
+   * @param {Transaction} transaction - Transaction that updated the user
+   * @returns {Promise<Object>} Created OutboxEvent
+   */
+  static async enqueueUserUpdated(userData, changes, transaction) {
+    return await ProducerService.enqueue(
+      STREAMS.USER_EVENTS,
+      EVENT_TYPES.USER_UPDATED,
+      ProducerService.buildUserUpdatedPayload(userData, changes),
+      { aggregateType: USER_AGGREGATE, aggregateId: userData.id, transaction }
+    );
+  }
+
+  /**
+   * Queue a user deletion event in the outbox
+   * @param {string} userId - User ID
+   * @param {string} username - Username
+   * @param {Transaction} transaction - Transaction that deleted the user
+   * @returns {Promise<Object>} Created OutboxEvent
+   */
+  static async enqueueUserDeleted(userId, username, transaction) {
+    return await ProducerService.enqueue(
       STREAMS.USER_EVENTS,
       EVENT_TYPES.USER_DELETED,
-      payload
+      ProducerService.buildUserDeletedPayload(userId, username),
+      { aggregateType: USER_AGGREGATE, aggregateId: userId, transaction }
     );
   }
 
@@ -85,7 +212,7 @@ class ProducerService {
       timestamp: messageData.timestamp
     };
 
-    return await addToStream(
+    return await ProducerService.publish(
       STREAMS.CHAT_MESSAGES,
       EVENT_TYPES.MESSAGE_SENT,
       payload
@@ -108,7 +235,7 @@ class ProducerService {
       dueDate: taskData.dueDate
     };
 
-    return await addToStream(
+    return await ProducerService.publish(
       STREAMS.TASK_QUEUE,
       EVENT_TYPES.TASK_CREATED,
       payload
@@ -130,7 +257,7 @@ class ProducerService {
       completedAt: new Date().toISOString()
     };
 
-    return await addToStream(
+    return await ProducerService.publish(
       STREAMS.TASK_QUEUE,
       EVENT_TYPES.TASK_COMPLETED,
       payload
@@ -155,7 +282,7 @@ class ProducerService {
 
     const eventType = level === 'error' ? EVENT_TYPES.SYSTEM_ERROR : EVENT_TYPES.SYSTEM_INFO;
 
-    return await addToStream(
+    return await ProducerService.publish(
       STREAMS.SYSTEM_LOGS,
       eventType,
       payload
@@ -170,20 +297,43 @@ class ProducerService {
    * @returns {Promise<string>} Message ID
    */
   static async publishCustomEvent(streamName, eventType, payload) {
-    return await addToStream(streamName, eventType, payload);
+    return await ProducerService.publish(streamName, eventType, payload);
   }
 
   /**
-   * Batch publish multiple events
+   * Batch publish multiple events in one round trip. Every event is
+   * validated before any is published, so an invalid event rejects the
+   * whole batch. Pipelined events are published independently; atomic
+   * ones all are or none is.
    * @param {Array} events - Array of {streamName, eventType, payload} objects
-   * @returns {Promise<Array>} Array of message IDs
+   * @param {string} mode - One of BATCH_MODES (defaults to pipelined)
+   * @returns {Promise<Array<Object>>} Per-event results (see addBatchToStreams)
+   * @throws {SchemaValidationError} If any payload doesn't match its schema
+   * @throws {BackpressureError} If any of the streams is backed up; nothing is published
+   * @throws {BatchPublishError} If an atomic batch was not published
    */
-  static async batchPublish(events) {
-    const promises = events.map(event => 
-      addToStream(event.streamName, event.eventType, event.payload)
-    );
-    
-    return await Promise.all(promises);
+  static async batchPublish(events, mode = BATCH_MODES.PIPELINED) {
+    const registry = getSchemaRegistry();
+    const details = [];
+
+    for (const [index, event] of events.entries()) {
+      try {
+        await registry.validate(event.eventType, event.payload);
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) {
+          throw error;
+        }
+        details.push(...error.details.map(detail => ({ index, eventType: event.eventType, ...detail })));
+      }
+    }
+
+    if (details.length > 0) {
+      throw new SchemaValidationError('One or more events do not match their schemas', { details });
+    }
+
+    await waitForCapacityAll(new Set(events.map(event => event.streamName)));
+
+    return await addBatchToStreams(events, mode);
   }
 }
 
@@ -0,0 +1,499 @@
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
+const { ReplayJob } = require('../models');
+const { getDefaultRegistry } = require('./handlerRegistry');
+const { parseMessageFields } = require('../utils/streamUtils');
+const { processEvent } = require('./eventProcessor');
+
+// Default replay speed in messages per second
+const REPLAY_RATE = parseInt(process.env.REPLAY_RATE_LIMIT) || 50;
+// Entries fetched from the stream per XRANGE call
+const REPLAY_PAGE_SIZE = 100;
+// Jobs returned when listing
+const REPLAY_JOBS_LISTED = 50;
+// How often a running job's progress is saved
+const REPLAY_SAVE_INTERVAL = parseInt(process.env.REPLAY_SAVE_INTERVAL_MS) || 5000;
+// Unfinished jobs not saved for this long were left behind by a process that stopped
+const REPLAY_STALE_AFTER = REPLAY_SAVE_INTERVAL * 6;
+
+const STREAM_ID_PATTERN = /^\d+(-\d+)?$/;
+
+/**
+ * Build an error for invalid job options, reported to API callers as a 400
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const invalidOption = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Replay Service
+ * Pushes historical stream entries back through the event handlers, e.g.
+ * after a handler bug is fixed. Jobs run in the background in this process;
+ * every replayed entry is recorded in the events table under the consumer
+ * group 'replay:<jobId>', so replays never collide with live deliveries.
+ * A job targeting a consumer group runs that group's handlers and records
+ * its entries as consumed by '<group>:replay'.
+ *
+ * Jobs are kept in the replay_jobs table, so their history and progress
+ * survive restarts. A job whose process stopped while it ran is reported
+ * as 'interrupted'; a new job starting after its progress.lastId resumes it.
+ */
+class ReplayService {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {HandlerRegistry} options.handlerRegistry - Event handlers (defaults to the shared registry)
+   */
+  constructor(options = {}) {
+    this.handlerRegistry = options.handlerRegistry || getDefaultRegistry();
+    this.redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+    // Jobs running in this process
+    this.jobs = new Map();
+  }
+
+  /**
+   * Resolve a range bound given as a stream ID or a wall-clock timestamp.
+   * XRANGE treats a bare millisecond time as the first ID of that millisecond
+   * when used as the start and the last one when used as the end.
+   * @param {string} id - Stream ID
+   * @param {number|string} time - Unix time in milliseconds or an ISO date
+   * @param {string} defaultId - Bound to use when neither is given
+   * @returns {string} Stream ID usable in XRANGE
+   */
+  resolveBound(id, time, defaultId) {
+    if (id !== undefined && id !== null) {
+      if (!STREAM_ID_PATTERN.test(String(id)) && id !== '-' && id !== '+') {
+        throw invalidOption(`Invalid stream ID: ${id}`);
+      }
+      return String(id);
+    }
+
+    if (time !== undefined && time !== null) {
+      const ms = /^\d+$/.test(String(time)) ? parseInt(time) : Date.parse(time);
+      if (Number.isNaN(ms)) {
+        throw invalidOption(`Invalid timestamp: ${time}`);
+      }
+      return String(ms);
+    }
+
+    return defaultId;
+  }
+
+  /**
+   * Check whether a stream has a consumer group
+   * @param {string} streamName - Name of the stream
+   * @param {string} groupName - Name of the consumer group
+   * @returns {Promise<boolean>} True if the group exists
+   */
+  async hasGroup(streamName, groupName) {
+    try {
+      const groups = await this.redis.xinfo('GROUPS', streamName);
+      return groups.some(group => group[group.indexOf('name') + 1] === groupName);
+    } catch (error) {
+      if (error.message.includes('no such key')) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create and start a replay job
+   * @param {Object} options - Replay options
+   * @param {string} options.streamName - Stream to replay
+   * @param {string} options.startId - First message ID to replay (inclusive)
+   * @param {string} options.endId - Last message ID to replay (inclusive)
+   * @param {number|string} options.startTime - Replay entries added at or after this time (used without startId)
+   * @param {number|string} options.endTime - Replay entries added at or before this time (used without endId)
+   * @param {Array<string>} options.eventTypes - Only replay these event types
+   * @param {Array<string>} options.handlers - Only run handlers registered under these patterns
+   * @param {string} options.consumerGroup - Run the handlers of this consumer group of the stream
+   * @param {number} options.rate - Maximum messages per second
+   * @param {boolean} options.dryRun - Count matching entries without running handlers
+   * @returns {Promise<Object>} Job status
+   */
+  async createJob(options) {
+    const { streamName, eventTypes = [], handlers = [], consumerGroup = null, dryRun = false } = options;
+
+    if (!streamName) {
+      throw invalidOption('streamName is required');
+    }
+    if (!Array.isArray(eventTypes) || !Array.isArray(handlers)) {
+      throw invalidOption('eventTypes and handlers must be arrays');
+    }
+    if (options.rate !== undefined && options.rate !== null && !/^[1-9]\d*$/.test(String(options.rate))) {
+      throw invalidOption('rate must be a positive integer');
+    }
+
+    if (consumerGroup !== null && typeof consumerGroup !== 'string') {
+      throw invalidOption('consumerGroup must be a string');
+    }
+    // The group's position is never moved; it only picks the handlers
+    if (consumerGroup && !(await this.hasGroup(streamName, consumerGroup))) {
+      throw invalidOption(`Consumer group ${consumerGroup} does not exist on ${streamName}`);
+    }
+
+    const groupRegistry = consumerGroup
+      ? this.handlerRegistry.forGroup(consumerGroup)
+      : this.handlerRegistry;
+    const registry = handlers.length > 0
+      ? groupRegistry.select(handlers)
+      : groupRegistry;
+
+    const job = {
+      id: uuidv4(),
+      streamName,
+      range: {
+        start: this.resolveBound(options.startId, options.startTime, '-'),
+        end: this.resolveBound(options.endId, options.endTime, '+')
+      },
+      eventTypes,
+      handlers,
+      consumerGroup,
+      // Entries no selected handler runs are skipped rather than sent to the fallback
+      selectedHandlers: registry !== this.handlerRegistry,
+      rate: options.rate ? parseInt(options.rate) : REPLAY_RATE,
+      dryRun: Boolean(dryRun),
+      status: 'pending',
+      progress: {
+        scanned: 0,
+        matched: 0,
+        processed: 0,
+        failed: 0,
+        skipped: 0,
+        lastId: null
+      },
+      matchedByType: {},
+      errors: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false
+    };
+
+    await ReplayJob.create(this.toRecord(job));
+    this.jobs.set(job.id, job);
+
+    job.run = this.runJob(job, registry)
+      .catch(error => {
+        job.status = 'failed';
+        job.errors.push({ messageId: job.progress.lastId, error: error.message });
+        job.finishedAt = new Date().toISOString();
+        console.error(`❌ Replay job ${job.id} failed:`, error);
+      })
+      .finally(async () => {
+        clearInterval(job.saveTimer);
+        await this.saveJob(job);
+        this.jobs.delete(job.id);
+      });
+
+    return this.getJobStatus(job);
+  }
+
+  /**
+   * Page through the requested range and replay matching entries
+   * @param {Object} job - Replay job
+   * @param {HandlerRegistry} registry - Handlers to run
+   */
+  async runJob(job, registry) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await this.saveJob(job);
+    job.saveTimer = setInterval(() => this.saveJob(job), REPLAY_SAVE_INTERVAL);
+    console.log(`⏪ Replay job ${job.id} started for ${job.streamName} (${job.range.start} → ${job.range.end})${job.dryRun ? ' [dry run]' : ''}`);
+
+    const interval = 1000 / job.rate;
+    let cursor = job.range.start;
+
+    while (!job.cancelRequested) {
+      const entries = await this.redis.xrange(job.streamName, cursor, job.range.end, 'COUNT', REPLAY_PAGE_SIZE);
+
+      for (const [messageId, fields] of entries) {
+        if (job.cancelRequested) {
+          break;
+        }
+
+        job.progress.scanned++;
+        job.progress.lastId = messageId;
+
+        let messageData;
+        try {
+          messageData = parseMessageFields(fields);
+        } catch (error) {
+          job.progress.failed++;
+          if (job.errors.length < 20) {
+            job.errors.push({ messageId, error: error.message });
+          }
+          continue;
+        }
+
+        if (!this.isMatch(job, registry, messageData.eventType)) {
+          job.progress.skipped++;
+          continue;
+        }
+
+        job.progress.matched++;
+        job.matchedByType[messageData.eventType] = (job.matchedByType[messageData.eventType] || 0) + 1;
+
+        if (!job.dryRun) {
+          const startedAt = Date.now();
+          await this.replayMessage(job, registry, messageId, messageData);
+          await this.sleep(interval - (Date.now() - startedAt));
+        }
+      }
+
+      if (entries.length < REPLAY_PAGE_SIZE) {
+        break;
+      }
+      cursor = `(${entries[entries.length - 1][0]}`;
+    }
+
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    job.finishedAt = new Date().toISOString();
+    console.log(`✅ Replay job ${job.id} ${job.status}: ${job.progress.matched} matched, ${job.progress.processed} processed, ${job.progress.failed} failed`);
+  }
+
+  /**
+   * Check whether an entry passes the job's event type and handler filters
+   * @param {Object} job - Replay job
+   * @param {HandlerRegistry} registry - Handlers to run
+   * @param {string} eventType - Event type
+   * @returns {boolean} True if the entry should be replayed
+   */
+  isMatch(job, registry, eventType) {
+    if (job.eventTypes.length > 0 && !job.eventTypes.includes(eventType)) {
+      return false;
+    }
+    // With a handler subset, entries none of them handle are left alone
+    if (job.selectedHandlers && registry.resolve(eventType).length === 0) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Run one entry through the handlers, recording it in the events table
+   * @param {Object} job - Replay job
+   * @param {HandlerRegistry} registry - Handlers to run
+   * @param {string} messageId - Message ID
+   * @param {Object} messageData - Parsed message data
+   */
+  async replayMessage(job, registry, messageId, messageData) {
+    try {
+      const { alreadyProcessed } = await processEvent({
+        streamName: job.streamName,
+        messageId,
+        messageData,
+        consumerGroup: `replay:${job.id}`,
+        consumerId: job.consumerGroup ? `${job.consumerGroup}:replay` : 'replay',
+        handlerRegistry: registry,
+        metricsGroup: 'replay',
+        handlerContext: { replayJobId: job.id, consumerGroup: job.consumerGroup }
+      });
+
+      // The same event can appear twice in a range if it was requeued
+      if (alreadyProcessed) {
+        job.progress.skipped++;
+        return;
+      }
+
+      job.progress.processed++;
+    } catch (error) {
+      job.progress.failed++;
+      if (job.errors.length < 20) {
+        job.errors.push({ messageId, error: error.message });
+      }
+      console.error(`❌ Replay job ${job.id} failed on message ${messageId}:`, error);
+    }
+  }
+
+  /**
+   * Build the replay_jobs row for a job
+   * @param {Object} job - Replay job
+   * @returns {Object} ReplayJob attributes
+   */
+  toRecord(job) {
+    return {
+      id: job.id,
+      streamName: job.streamName,
+      rangeStart: job.range.start,
+      rangeEnd: job.range.end,
+      eventTypes: job.eventTypes,
+      handlers: job.handlers,
+      consumerGroup: job.consumerGroup,
+      rate: job.rate,
+      dryRun: job.dryRun,
+      status: job.status,
+      progress: job.progress,
+      matchedByType: job.matchedByType,
+      errors: job.errors,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      // Never cleared here: another process may have requested cancellation
+      ...(job.cancelRequested && { cancelRequested: true })
+    };
+  }
+
+  /**
+   * Rebuild a job from its replay_jobs row
+   * @param {ReplayJob} row - Stored job
+   * @returns {Object} Replay job
+   */
+  fromRecord(row) {
+    const unfinished = row.status === 'pending' || row.status === 'running';
+    const stale = unfinished && Date.now() - new Date(row.updatedAt).getTime() > REPLAY_STALE_AFTER;
+
+    return {
+      id: row.id,
+      streamName: row.streamName,
+      range: { start: row.rangeStart, end: row.rangeEnd },
+      eventTypes: row.eventTypes,
+      handlers: row.handlers,
+      consumerGroup: row.consumerGroup,
+      rate: row.rate,
+      dryRun: row.dryRun,
+      status: stale ? 'interrupted' : row.status,
+      progress: row.progress,
+      matchedByType: row.matchedByType,
+      errors: row.errors,
+      createdAt: new Date(row.createdAt).toISOString(),
+      startedAt: row.startedAt ? new Date(row.startedAt).toISOString() : null,
+      finishedAt: row.finishedAt ? new Date(row.finishedAt).toISOString() : null,
+      cancelRequested: row.cancelRequested
+    };
+  }
+
+  /**
+   * Save a job's status and progress, and pick up a cancellation requested
+   * through another process. Saves run one after another, so the final
+   * state is never overwritten by an earlier save.
+   * @param {Object} job - Replay job
+   * @returns {Promise<void>}
+   */
+  saveJob(job) {
+    job.saving = (job.saving || Promise.resolve()).then(async () => {
+      try {
+        const [, [row]] = await ReplayJob.update(this.toRecord(job), {
+          where: { id: job.id },
+          returning: true
+        });
+        if (row && row.cancelRequested && !job.cancelRequested) {
+          job.cancelRequested = true;
+          console.log(`🛑 Cancelling replay job ${job.id}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error saving replay job ${job.id}:`, error.message);
+      }
+    });
+    return job.saving;
+  }
+
+  /**
+   * Request cancellation of a running job. The message in flight finishes
+   * first. A job running in another process stops at its next save.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job status, or null if the job doesn't exist
+   */
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      if (!job.cancelRequested) {
+        job.cancelRequested = true;
+        console.log(`🛑 Cancelling replay job ${jobId}`);
+      }
+      return this.getJobStatus(job);
+    }
+
+    const row = isUuid(jobId) ? await ReplayJob.findByPk(jobId) : null;
+    if (!row) {
+      return null;
+    }
+
+    const stored = this.fromRecord(row);
+    if (stored.status === 'pending' || stored.status === 'running') {
+      await row.update({ cancelRequested: true });
+      console.log(`🛑 Requested cancellation of replay job ${jobId}`);
+    }
+    return this.getJobStatus(stored);
+  }
+
+  /**
+   * Get a job's status and progress
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job status, or null if the job doesn't exist
+   */
+  async getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      return this.getJobStatus(job);
+    }
+
+    const row = isUuid(jobId) ? await ReplayJob.findByPk(jobId) : null;
+    return row ? this.getJobStatus(this.fromRecord(row)) : null;
+  }
+
+  /**
+   * Format a job's status and progress
+   * @param {Object} job - Replay job
+   * @returns {Object} Job status
+   */
+  getJobStatus(job) {
+    return {
+      id: job.id,
+      streamName: job.streamName,
+      range: job.range,
+      eventTypes: job.eventTypes,
+      handlers: job.handlers,
+      consumerGroup: job.consumerGroup,
+      rate: job.rate,
+      dryRun: job.dryRun,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      auditConsumerGroup: `replay:${job.id}`,
+      progress: { ...job.progress },
+      matchedByType: { ...job.matchedByType },
+      errors: [...job.errors]
+    };
+  }
+
+  /**
+   * List the most recent jobs, newest first. Jobs running in this process
+   * show their live progress.
+   * @returns {Promise<Array<Object>>} Job statuses
+   */
+  async listJobs() {
+    const rows = await ReplayJob.findAll({
+      order: [['createdAt', 'DESC']],
+      limit: REPLAY_JOBS_LISTED
+    });
+
+    return rows.map(row => this.getJobStatus(this.jobs.get(row.id) || this.fromRecord(row)));
+  }
+
+  /**
+   * Cancel running jobs and wait for them to stop
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const running = [...this.jobs.values()].filter(job => !job.finishedAt);
+    running.forEach(job => {
+      job.cancelRequested = true;
+    });
+    await Promise.all(running.map(job => job.run));
+  }
+
+  /**
+   * Sleep utility function
+   * @param {number} ms - Milliseconds to sleep
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+  }
+}
+
+module.exports = ReplayService;
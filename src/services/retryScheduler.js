@@ -0,0 +1,218 @@
+const { redis } = require('../config/redis');
+const { buildEntryFields, getXaddArgs, EVENT_TYPES } = require('../utils/streamUtils');
+const { eventsPublished, publishErrors } = require('../utils/metrics');
+
+// Sorted set holding scheduled retries, scored by due time
+const RETRY_SCHEDULE_KEY = 'retry:schedule';
+
+// Move one scheduled retry to its stream: XADD, then ZREM, in one atomic
+// step. A retry another mover already took is skipped (nil), and a failed
+// XADD leaves the retry scheduled.
+// KEYS[1] schedule, KEYS[2] stream; ARGV[1] schedule entry, ARGV[2..] XADD arguments after the key
+const MOVE_RETRY_SCRIPT = `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return false
+end
+local messageId = redis.call('XADD', KEYS[2], unpack(ARGV, 2))
+redis.call('ZREM', KEYS[1], ARGV[1])
+return messageId
+`;
+
+// Backoff policies per event type
+const RETRY_POLICIES = {
+  default: {
+    initialDelay: 1000,
+    multiplier: 2,
+    maxDelay: 60000,
+    jitter: 0.2,
+    maxAttempts: 5
+  },
+  [EVENT_TYPES.MESSAGE_SENT]: {
+    initialDelay: 500,
+    multiplier: 2,
+    maxDelay: 10000,
+    jitter: 0.1,
+    maxAttempts: 3
+  },
+  [EVENT_TYPES.SYSTEM_INFO]: {
+    initialDelay: 5000,
+    multiplier: 2,
+    maxDelay: 60000,
+    jitter: 0.2,
+    maxAttempts: 1
+  }
+};
+
+/**
+ * Retry Scheduler for Redis Streams
+ * Schedules failed events for delayed redelivery with exponential backoff
+ */
+class RetryScheduler {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.policies - Backoff policies per event type, merged over the defaults
+   * @param {number} options.pollInterval - How often (ms) the mover checks for due retries
+   * @param {number} options.batchSize - Maximum number of retries moved per poll
+   */
+  constructor(options = {}) {
+    this.key = options.key || RETRY_SCHEDULE_KEY;
+    this.policies = { ...RETRY_POLICIES, ...options.policies };
+    this.pollInterval = options.pollInterval || parseInt(process.env.RETRY_POLL_INTERVAL_MS) || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.timer = null;
+    this.isMoving = false;
+  }
+
+  /**
+   * Get the backoff policy for an event type
+   * @param {string} eventType - Event type
+   * @returns {Object} Backoff policy
+   */
+  getPolicy(eventType) {
+    return { ...this.policies.default, ...this.policies[eventType] };
+  }
+
+  /**
+   * Calculate the delay before a retry attempt
+   * @param {Object} policy - Backoff policy
+   * @param {number} attempt - Retry attempt number (1 for the first retry)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(policy, attempt) {
+    const delay = Math.min(
+      policy.initialDelay * Math.pow(policy.multiplier, attempt - 1),
+      policy.maxDelay
+    );
+    const jitter = delay * policy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + jitter));
+  }
+
+  /**
+   * Schedule a failed event for a later retry. The retry is re-added to the
+   * original stream addressed to the failing consumer group; other groups
+   * reading the stream acknowledge and skip it.
+   * @param {string} streamName - Stream the event was read from
+   * @param {Object} messageData - Parsed message data ({ eventType, payload, schemaVersion, id, correlationId, causationId, attempt })
+   * @param {Error} error - Error from the failed attempt
+   * @param {string} targetGroup - Consumer group (or simple consumer ID) whose handling failed
+   * @returns {Promise<boolean>} False if the event has exhausted its retry attempts
+   */
+  async scheduleRetry(streamName, messageData, error, targetGroup) {
+    const { eventType, payload, schemaVersion, id, correlationId, causationId } = messageData;
+    const policy = this.getPolicy(eventType);
+    const attempt = (messageData.attempt || 0) + 1;
+
+    if (attempt > policy.maxAttempts) {
+      console.log(`⛔ Retries exhausted for ${eventType} event ${id} after ${attempt - 1} attempts`);
+      return false;
+    }
+
+    const delay = this.getDelay(policy, attempt);
+    const dueAt = Date.now() + delay;
+    const entry = JSON.stringify({
+      streamName,
+      eventType,
+      payload,
+      schemaVersion,
+      id,
+      correlationId,
+      causationId,
+      attempt,
+      targetGroup,
+      lastError: error.message,
+      scheduledAt: Date.now()
+    });
+
+    await redis.zadd(this.key, dueAt, entry);
+    console.log(`⏳ Scheduled retry ${attempt}/${policy.maxAttempts} for ${eventType} event ${id} in ${delay}ms`);
+    return true;
+  }
+
+  /**
+   * Move due retries back onto their original streams
+   * @returns {Promise<number>} Number of retries moved
+   */
+  async moveDueRetries() {
+    const entries = await redis.zrangebyscore(this.key, '-inf', Date.now(), 'LIMIT', 0, this.batchSize);
+    let moved = 0;
+
+    for (const entry of entries) {
+      const { streamName, eventType, payload, id, attempt, ...rest } = JSON.parse(entry);
+      // Retries scheduled before these fields were recorded get the defaults
+      const metadata = { id, attempt };
+      for (const field of ['schemaVersion', 'correlationId', 'causationId', 'targetGroup']) {
+        if (rest[field]) {
+          metadata[field] = rest[field];
+        }
+      }
+
+      const [, ...xaddArgs] = getXaddArgs(streamName, '*', buildEntryFields(eventType, payload, metadata));
+      const labels = { stream: streamName, event_type: eventType };
+      try {
+        // Only one mover gets the retry, so several can run side by side
+        const messageId = await redis.eval(MOVE_RETRY_SCRIPT, 2, this.key, streamName, entry, ...xaddArgs);
+        if (messageId) {
+          eventsPublished.inc(labels);
+          moved++;
+        }
+      } catch (error) {
+        publishErrors.inc(labels);
+        throw error;
+      }
+    }
+
+    if (moved > 0) {
+      console.log(`🔁 Moved ${moved} due retries back to their streams`);
+    }
+
+    return moved;
+  }
+
+  /**
+   * Get the number of scheduled retries
+   * @returns {Promise<number>} Number of scheduled retries
+   */
+  async getScheduledCount() {
+    return await redis.zcard(this.key);
+  }
+
+  /**
+   * Start the mover loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`⏳ Starting retry scheduler (poll interval ${this.pollInterval}ms)`);
+
+    this.timer = setInterval(async () => {
+      if (this.isMoving) {
+        return;
+      }
+
+      this.isMoving = true;
+      try {
+        await this.moveDueRetries();
+      } catch (error) {
+        console.error('❌ Error moving due retries:', error);
+      } finally {
+        this.isMoving = false;
+      }
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop the mover loop
+   */
+  stop() {
+    if (this.timer) {
+      console.log('🛑 Stopping retry scheduler');
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = RetryScheduler;
+module.exports.RETRY_POLICIES = RETRY_POLICIES;
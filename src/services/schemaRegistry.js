@@ -0,0 +1,242 @@
+const Ajv = require('ajv');
+const { EventSchema } = require('../models');
+const { DEFAULT_EVENT_SCHEMAS } = require('../config/eventSchemas');
+const { SchemaValidationError } = require('../utils/errors');
+
+// Reject event types that have no registered schema
+const SCHEMA_STRICT_MODE = process.env.SCHEMA_STRICT_MODE === 'true';
+// How long schemas are cached before being reloaded, so changes made
+// through another API instance are picked up
+const SCHEMA_CACHE_TTL = parseInt(process.env.SCHEMA_CACHE_TTL_MS) || 30000;
+
+const AJV_OPTIONS = { allErrors: true, validateFormats: false };
+
+/**
+ * Event Schema Registry
+ * Maps event types to JSON Schemas stored in the event_schemas table and
+ * validates payloads against them. Formats ("format": "email", ...) are
+ * not checked.
+ */
+class SchemaRegistry {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.strict - Reject event types with no schema
+   * @param {number} options.cacheTtl - Cache lifetime in milliseconds
+   */
+  constructor(options = {}) {
+    this.strict = options.strict !== undefined ? options.strict : SCHEMA_STRICT_MODE;
+    this.cacheTtl = options.cacheTtl || SCHEMA_CACHE_TTL;
+    this.validators = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Compile a JSON Schema, turning compile errors into a SchemaValidationError.
+   * Each schema gets its own Ajv instance so recompiling a schema with an
+   * $id after an update doesn't clash with the old version.
+   * @param {string} eventType - Event type
+   * @param {Object} schema - JSON Schema
+   * @returns {Function} Ajv validate function
+   */
+  compile(eventType, schema) {
+    try {
+      return new Ajv(AJV_OPTIONS).compile(schema);
+    } catch (error) {
+      throw new SchemaValidationError(`Invalid JSON Schema for ${eventType}`, {
+        eventType,
+        details: [{ path: '', message: error.message, keyword: 'schema', params: {} }]
+      });
+    }
+  }
+
+  /**
+   * Reload every schema from the database
+   */
+  async load() {
+    const schemas = await EventSchema.findAll();
+    const validators = new Map();
+
+    for (const record of schemas) {
+      try {
+        validators.set(record.eventType, {
+          version: record.version,
+          validate: this.compile(record.eventType, record.schema)
+        });
+      } catch (error) {
+        console.error(`❌ Skipping invalid schema for ${record.eventType}:`, error.details);
+      }
+    }
+
+    this.validators = validators;
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Reload schemas if the cache has expired
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < this.cacheTtl) {
+      return;
+    }
+
+    // Concurrent publishes share one reload
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Drop the cache so the next validation reloads from the database
+   */
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Validate a payload against its event type's schema
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @returns {Promise<boolean>} True if the payload was checked against a schema
+   * @throws {SchemaValidationError} If the payload doesn't match, or strict mode rejects the type
+   */
+  async validate(eventType, payload) {
+    await this.ensureLoaded();
+
+    const entry = this.validators.get(eventType);
+    if (!entry) {
+      if (this.strict) {
+        throw new SchemaValidationError(`No schema registered for event type ${eventType}`, {
+          eventType,
+          details: [{ path: '', message: 'event type is not registered', keyword: 'strict', params: {} }]
+        });
+      }
+      return false;
+    }
+
+    // Validate what consumers will see after serialization (Dates become strings)
+    const serialized = JSON.parse(JSON.stringify(payload === undefined ? null : payload));
+    if (!entry.validate(serialized)) {
+      throw new SchemaValidationError(`Payload does not match the schema for ${eventType}`, {
+        eventType,
+        details: entry.validate.errors.map(error => ({
+          path: error.instancePath || '/',
+          message: error.message,
+          keyword: error.keyword,
+          params: error.params
+        }))
+      });
+    }
+    return true;
+  }
+
+  /**
+   * List registered schemas
+   * @returns {Promise<Array>} EventSchema records
+   */
+  async list() {
+    return await EventSchema.findAll({ order: [['eventType', 'ASC']] });
+  }
+
+  /**
+   * Get the schema registered for an event type
+   * @param {string} eventType - Event type
+   * @returns {Promise<Object|null>} EventSchema record, or null if none
+   */
+  async get(eventType) {
+    return await EventSchema.findOne({ where: { eventType } });
+  }
+
+  /**
+   * Register a schema for a new event type
+   * @param {string} eventType - Event type
+   * @param {Object} schema - JSON Schema
+   * @param {string} description - Optional description
+   * @returns {Promise<Object>} Created EventSchema record
+   */
+  async create(eventType, schema, description = null) {
+    this.compile(eventType, schema);
+    const record = await EventSchema.create({ eventType, schema, description });
+    this.invalidate();
+    return record;
+  }
+
+  /**
+   * Replace the schema of a registered event type
+   * @param {string} eventType - Event type
+   * @param {Object} schema - JSON Schema
+   * @param {string} description - Optional description (kept if omitted)
+   * @returns {Promise<Object|null>} Updated EventSchema record, or null if none is registered
+   */
+  async update(eventType, schema, description) {
+    const record = await this.get(eventType);
+    if (!record) {
+      return null;
+    }
+
+    this.compile(eventType, schema);
+    await record.update({
+      schema,
+      description: description !== undefined ? description : record.description,
+      version: record.version + 1
+    });
+    this.invalidate();
+    return record;
+  }
+
+  /**
+   * Remove the schema of an event type
+   * @param {string} eventType - Event type
+   * @returns {Promise<boolean>} True if a schema was removed
+   */
+  async remove(eventType) {
+    const removed = await EventSchema.destroy({ where: { eventType } });
+    this.invalidate();
+    return removed > 0;
+  }
+
+  /**
+   * Register the default schemas for event types that have none yet
+   * @returns {Promise<number>} Number of schemas added
+   */
+  async seedDefaults() {
+    let added = 0;
+
+    for (const [eventType, schema] of Object.entries(DEFAULT_EVENT_SCHEMAS)) {
+      const [, created] = await EventSchema.findOrCreate({
+        where: { eventType },
+        defaults: { eventType, schema, description: 'Built-in default schema' }
+      });
+      if (created) {
+        added++;
+      }
+    }
+
+    if (added > 0) {
+      console.log(`📐 Seeded ${added} default event schemas`);
+    }
+    this.invalidate();
+    return added;
+  }
+}
+
+let schemaRegistry = null;
+
+/**
+ * Get the shared schema registry
+ * @returns {SchemaRegistry} Shared schema registry
+ */
+const getSchemaRegistry = () => {
+  if (!schemaRegistry) {
+    schemaRegistry = new SchemaRegistry();
+  }
+  return schemaRegistry;
+};
+
+module.exports = {
+  SchemaRegistry,
+  getSchemaRegistry
+};
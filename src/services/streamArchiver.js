@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+const { getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
+const { StreamArchive } = require('../models');
+
+// Entries copied per XRANGE/INSERT round trip
+const ARCHIVE_BATCH_SIZE = parseInt(process.env.ARCHIVE_BATCH_SIZE) || 500;
+
+/**
+ * Split a stream ID into its parts
+ * @param {string} id - Stream ID ('ms-seq' or 'ms')
+ * @returns {Object} { ms, seq } where seq is null for a bare millisecond time
+ */
+const parseStreamId = (id) => {
+  const [ms, seq] = String(id).split('-');
+  return { ms, seq: seq === undefined ? null : seq };
+};
+
+/**
+ * Build a where clause comparing the archived ID against a bound
+ * @param {string} id - Stream ID bound
+ * @param {string} op - 'gte', 'lte' or 'lt'
+ * @returns {Object} Sequelize where clause
+ */
+const compareId = (id, op) => {
+  const { ms, seq } = parseStreamId(id);
+
+  // A bare millisecond time covers every sequence in that millisecond
+  if (seq === null) {
+    return { idMs: { [Op[op]]: ms } };
+  }
+
+  const strict = op === 'gte' ? Op.gt : Op.lt;
+  return {
+    [Op.or]: [
+      { idMs: { [strict]: ms } },
+      { idMs: ms, idSeq: { [Op[op]]: seq } }
+    ]
+  };
+};
+
+/**
+ * Stream Archiver
+ * Copies stream entries into the stream_archive table so they can be
+ * trimmed from Redis, and reads ranges that span the archive and Redis
+ */
+class StreamArchiver {
+  constructor() {
+    this.redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+  }
+
+  /**
+   * Get the newest archived message ID for a stream
+   * @param {string} streamName - Name of the stream
+   * @returns {Promise<string|null>} Message ID, or null if nothing is archived
+   */
+  async getWatermark(streamName) {
+    const latest = await StreamArchive.findOne({
+      where: { streamName },
+      order: [['idMs', 'DESC'], ['idSeq', 'DESC']],
+      attributes: ['messageId']
+    });
+    return latest ? latest.messageId : null;
+  }
+
+  /**
+   * Copy every not yet archived entry with an ID below minId into the archive
+   * @param {string} streamName - Name of the stream
+   * @param {string} minId - Exclusive upper bound (the trim point)
+   * @returns {Promise<number>} Number of entries archived
+   */
+  async archiveBefore(streamName, minId) {
+    const watermark = await this.getWatermark(streamName);
+    let cursor = watermark ? `(${watermark}` : '-';
+    let archived = 0;
+
+    while (true) {
+      const entries = await this.redis.xrange(streamName, cursor, `(${minId}`, 'COUNT', ARCHIVE_BATCH_SIZE);
+      if (entries.length === 0) {
+        break;
+      }
+
+      await StreamArchive.bulkCreate(
+        entries.map(([messageId, fields]) => this.toArchiveRecord(streamName, messageId, fields)),
+        { ignoreDuplicates: true }
+      );
+      archived += entries.length;
+
+      if (entries.length < ARCHIVE_BATCH_SIZE) {
+        break;
+      }
+      cursor = `(${entries[entries.length - 1][0]}`;
+    }
+
+    if (archived > 0) {
+      console.log(`🗄️ Archived ${archived} entries from ${streamName}`);
+    }
+    return archived;
+  }
+
+  /**
+   * Convert a stream entry into an archive row
+   * @param {string} streamName - Name of the stream
+   * @param {string} messageId - Message ID
+   * @param {Array} fields - Raw message fields
+   * @returns {Object} StreamArchive attributes
+   */
+  toArchiveRecord(streamName, messageId, fields) {
+    const data = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      data[fields[i]] = fields[i + 1];
+    }
+
+    const { ms, seq } = parseStreamId(messageId);
+    return {
+      streamName,
+      messageId,
+      idMs: ms,
+      idSeq: seq,
+      eventType: data.eventType || null,
+      fields: data,
+      timestamp: new Date(parseInt(ms))
+    };
+  }
+
+  /**
+   * Read archived entries in an ID range
+   * @param {string} streamName - Name of the stream
+   * @param {Object} options - Range options
+   * @param {string} options.start - Lowest ID to include ('-' or '0' for no bound)
+   * @param {string} options.end - Highest ID to include ('+' for no bound)
+   * @param {string} options.before - Only include IDs below this one
+   * @param {number} options.count - Maximum number of entries
+   * @param {string} options.direction - 'forward' or 'backward'
+   * @returns {Promise<Array>} Entries as [id, fields]
+   */
+  async readArchive(streamName, { start = '-', end = '+', before = null, count = 10, direction = 'forward' }) {
+    const conditions = [{ streamName }];
+    if (start !== '-' && start !== '0') {
+      conditions.push(compareId(start, 'gte'));
+    }
+    if (end !== '+') {
+      conditions.push(compareId(end, 'lte'));
+    }
+    if (before) {
+      conditions.push(compareId(before, 'lt'));
+    }
+
+    const order = direction === 'backward' ? 'DESC' : 'ASC';
+    const rows = await StreamArchive.findAll({
+      where: { [Op.and]: conditions },
+      order: [['idMs', order], ['idSeq', order]],
+      limit: count
+    });
+
+    return rows.map(row => [row.messageId, Object.entries(row.fields).flat()]);
+  }
+
+  /**
+   * Read a range of entries, taking entries trimmed from Redis from the
+   * archive. Entries still in Redis are always read from Redis.
+   * @param {string} streamName - Name of the stream
+   * @param {Object} options - Range options
+   * @param {string} options.start - Lowest ID to include
+   * @param {string} options.end - Highest ID to include
+   * @param {number} options.count - Maximum number of entries
+   * @param {string} options.direction - 'forward' or 'backward'
+   * @returns {Promise<Array>} Array of { id, fields, source } where source is 'redis' or 'archive'
+   */
+  async readMessages(streamName, { start = '-', end = '+', count = 10, direction = 'forward' }) {
+    // Everything below the oldest entry in Redis can only be in the archive
+    const [oldest] = await this.redis.xrange(streamName, '-', '+', 'COUNT', 1);
+    const oldestId = oldest ? oldest[0] : null;
+
+    const fromRedis = (entries) => entries.map(([id, fields]) => ({ id, fields, source: 'redis' }));
+    const fromArchive = (entries) => entries.map(([id, fields]) => ({ id, fields, source: 'archive' }));
+
+    if (direction === 'backward') {
+      const recent = await this.redis.xrevrange(streamName, end, start, 'COUNT', count);
+      const remaining = count - recent.length;
+      if (remaining <= 0) {
+        return fromRedis(recent);
+      }
+
+      const older = await this.readArchive(streamName, {
+        start, end, before: oldestId, count: remaining, direction
+      });
+      return [...fromRedis(recent), ...fromArchive(older)];
+    }
+
+    const archived = await this.readArchive(streamName, {
+      start, end, before: oldestId, count, direction
+    });
+    const remaining = count - archived.length;
+    const recent = remaining > 0
+      ? await this.redis.xrange(streamName, start, end, 'COUNT', remaining)
+      : [];
+
+    return [...fromArchive(archived), ...fromRedis(recent)];
+  }
+}
+
+module.exports = StreamArchiver;
@@ -0,0 +1,209 @@
+const { getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
+const {
+  RETENTION_STRATEGIES,
+  RETENTION_POLICIES,
+  RETENTION_TRIM_INTERVAL
+} = require('../config/retention');
+const { compareStreamIds, getNextStreamId } = require('../utils/streamUtils');
+const StreamArchiver = require('./streamArchiver');
+
+// Hash of stream name -> JSON result of its last trim
+const LAST_TRIM_KEY = 'retention:last-trim';
+
+/**
+ * Stream Trimmer
+ * Applies the retention policies in src/config/retention.js on an interval
+ */
+class StreamTrimmer {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.policies - Retention policy per stream (defaults to RETENTION_POLICIES)
+   * @param {number} options.interval - How often (ms) to trim
+   * @param {StreamArchiver} options.archiver - Archiver for streams whose policy sets archive
+   */
+  constructor(options = {}) {
+    this.policies = options.policies || RETENTION_POLICIES;
+    this.interval = options.interval || RETENTION_TRIM_INTERVAL;
+    this.archiver = options.archiver || new StreamArchiver();
+    this.redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+    this.timer = null;
+    this.trimRun = null;
+  }
+
+  /**
+   * Find the lowest ID that is still unacknowledged by some consumer group.
+   * Entries before it have been acknowledged by every group.
+   * @param {string} streamName - Name of the stream
+   * @returns {Promise<string|null>} Stream ID, or null if the stream has no groups
+   */
+  async getAcknowledgedMinId(streamName) {
+    const groups = await this.redis.xinfo('GROUPS', streamName);
+    if (groups.length === 0) {
+      return null;
+    }
+
+    let minId = null;
+
+    for (const group of groups) {
+      const info = {};
+      for (let i = 0; i < group.length; i += 2) {
+        info[group[i]] = group[i + 1];
+      }
+
+      // The oldest pending entry bounds the group; without one, everything
+      // up to the last delivered entry has been acknowledged
+      let safeId = getNextStreamId(info['last-delivered-id']);
+      if (info.pending > 0) {
+        const [, lowestPendingId] = await this.redis.xpending(streamName, info.name);
+        safeId = lowestPendingId;
+      }
+
+      if (!minId || compareStreamIds(safeId, minId) < 0) {
+        minId = safeId;
+      }
+    }
+
+    return minId;
+  }
+
+  /**
+   * Build the XTRIM arguments for a stream's policy
+   * @param {string} streamName - Name of the stream
+   * @param {Object} policy - Retention policy
+   * @returns {Promise<Array|null>} XTRIM arguments after the key, or null if nothing can be trimmed
+   */
+  async getTrimArgs(streamName, policy) {
+    switch (policy.strategy) {
+      case RETENTION_STRATEGIES.MAX_LENGTH: {
+        if (!policy.archive) {
+          return ['MAXLEN', '~', policy.maxLen];
+        }
+
+        // Archiving needs to know exactly which entries go, so trim
+        // by the ID of the first entry that stays
+        const excess = await this.redis.xlen(streamName) - policy.maxLen;
+        if (excess <= 0) {
+          return null;
+        }
+        const trimmedEntries = await this.redis.xrange(streamName, '-', '+', 'COUNT', excess);
+        return ['MINID', '~', getNextStreamId(trimmedEntries[trimmedEntries.length - 1][0])];
+      }
+
+      case RETENTION_STRATEGIES.MAX_AGE:
+        return ['MINID', '~', `${Date.now() - policy.maxAgeMs}-0`];
+
+      case RETENTION_STRATEGIES.ACKNOWLEDGED: {
+        const minId = await this.getAcknowledgedMinId(streamName);
+        return minId ? ['MINID', '~', minId] : null;
+      }
+
+      default:
+        throw new Error(`Unknown retention strategy for ${streamName}: ${policy.strategy}`);
+    }
+  }
+
+  /**
+   * Apply a stream's retention policy and record the result
+   * @param {string} streamName - Name of the stream
+   * @returns {Promise<Object|null>} Trim result, or null if the stream has no policy
+   */
+  async trimStream(streamName) {
+    const policy = this.policies[streamName];
+    if (!policy) {
+      return null;
+    }
+
+    const exists = await this.redis.exists(streamName);
+    const args = exists ? await this.getTrimArgs(streamName, policy) : null;
+
+    // Entries are only trimmed once they are safely in the archive;
+    // if archiving fails this throws and nothing is trimmed
+    let archived = 0;
+    if (args && policy.archive) {
+      archived = await this.archiver.archiveBefore(streamName, String(args[2]));
+    }
+
+    const trimmed = args ? await this.redis.xtrim(streamName, ...args) : 0;
+
+    const result = {
+      stream: streamName,
+      strategy: policy.strategy,
+      trimArgs: args ? args.map(String) : null,
+      archived,
+      trimmed,
+      length: exists ? await this.redis.xlen(streamName) : 0,
+      trimmedAt: new Date().toISOString()
+    };
+
+    await this.redis.hset(LAST_TRIM_KEY, streamName, JSON.stringify(result));
+
+    if (trimmed > 0) {
+      console.log(`✂️ Trimmed ${trimmed} entries from ${streamName} (${policy.strategy})`);
+    }
+    return result;
+  }
+
+  /**
+   * Apply every stream's retention policy
+   * @returns {Promise<Array>} Trim results
+   */
+  async trimAll() {
+    const results = [];
+    for (const streamName of Object.keys(this.policies)) {
+      try {
+        results.push(await this.trimStream(streamName));
+      } catch (error) {
+        console.error(`❌ Error trimming stream ${streamName}:`, error);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get the result of the last trim of a stream
+   * @param {string} streamName - Name of the stream
+   * @returns {Promise<Object|null>} Trim result, or null if the stream was never trimmed
+   */
+  static async getLastTrim(streamName) {
+    const value = await getRedisConnection(CONNECTION_ROLES.ADMIN).hget(LAST_TRIM_KEY, streamName);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Start the trim loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`✂️ Starting stream trimmer (interval ${this.interval}ms)`);
+
+    this.timer = setInterval(() => {
+      if (this.trimRun) {
+        return;
+      }
+
+      this.trimRun = this.trimAll().finally(() => {
+        this.trimRun = null;
+      });
+    }, this.interval);
+  }
+
+  /**
+   * Stop the trim loop, waiting for a running trim to finish
+   */
+  async stop() {
+    if (this.timer) {
+      console.log('🛑 Stopping stream trimmer');
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.trimRun) {
+      await this.trimRun;
+    }
+  }
+}
+
+module.exports = StreamTrimmer;
@@ -0,0 +1,203 @@
+const {
+  BACKPRESSURE_CHECK_INTERVAL,
+  BACKPRESSURE_MAX_WAIT,
+  BACKPRESSURE_RETRY_AFTER,
+  BACKPRESSURE_POLICIES,
+  getBackpressurePolicy
+} = require('../config/backpressure');
+const { getStreamLag, getGroupConsumers } = require('./consumerLag');
+const { listConsumers } = require('../services/consumerRegistry');
+const { getContext } = require('./requestContext');
+const { BackpressureError } = require('./errors');
+const { backpressureActive, backpressureDecisions } = require('./metrics');
+
+// Latest check per stream, shared by the publishes within BACKPRESSURE_CHECK_INTERVAL
+const checks = new Map();
+// Streams currently throttled, so state changes are logged once
+const throttledStreams = new Set();
+
+/**
+ * Compare a group's lag against a policy. Time lag only counts once the
+ * group is at least minLag entries behind, so a handful of slow entries
+ * doesn't throttle a stream whose consumers are otherwise keeping up.
+ * @param {Object} group - Group lag from getStreamLag
+ * @param {Object} policy - Backpressure policy
+ * @returns {Array<string>} Reasons the group holds publishing back
+ */
+const getLagReasons = (group, policy) => {
+  const reasons = [];
+  if (policy.maxLag && group.lag > policy.maxLag) {
+    reasons.push(`lag ${group.lag} exceeds ${policy.maxLag} entries`);
+  }
+  if (policy.maxLagMs && group.lag >= (policy.minLag || 0) && group.timeLagMs > policy.maxLagMs) {
+    reasons.push(`time lag ${group.timeLagMs}ms exceeds ${policy.maxLagMs}ms with ${group.lag} entries behind`);
+  }
+  return reasons;
+};
+
+/**
+ * Check whether a group is still being consumed: one of its registered
+ * consumers is sending heartbeats for the stream, or one of its consumers
+ * talked to Redis within the policy's activeWithinMs. Abandoned groups
+ * would otherwise hold a stream back for good.
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {Object} policy - Backpressure policy
+ * @returns {Promise<boolean>} True if the group has an active consumer
+ */
+const isGroupActive = async (streamName, groupName, policy) => {
+  const { live } = await listConsumers(0);
+  if (live.some(consumer => consumer.group === groupName && (consumer.streams || []).includes(streamName))) {
+    return true;
+  }
+
+  const consumers = await getGroupConsumers(streamName, groupName);
+  return consumers.some(consumer => consumer.idle <= policy.activeWithinMs);
+};
+
+/**
+ * Compare a stream's length and group lag against its policy
+ * @param {string} streamName - Name of the stream
+ * @param {Object} policy - Backpressure policy
+ * @returns {Promise<Object>} { stream, throttled, reasons, length, lag, timeLagMs, checkedAt }
+ */
+const evaluateStream = async (streamName, policy) => {
+  const streamLag = await getStreamLag(streamName);
+
+  const reasons = [];
+  if (streamLag) {
+    if (policy.maxLength && streamLag.length > policy.maxLength) {
+      reasons.push(`length ${streamLag.length} exceeds ${policy.maxLength} entries`);
+    }
+    for (const group of streamLag.groups) {
+      const groupReasons = getLagReasons(group, policy);
+      if (groupReasons.length > 0 && await isGroupActive(streamName, group.name, policy)) {
+        reasons.push(...groupReasons.map(reason => `${group.name}: ${reason}`));
+      }
+    }
+  }
+
+  const throttled = reasons.length > 0;
+  backpressureActive.set({ stream: streamName }, throttled ? 1 : 0);
+
+  if (throttled && !throttledStreams.has(streamName)) {
+    throttledStreams.add(streamName);
+    console.warn(`🚦 Backpressure on ${streamName}: ${reasons.join('; ')}`);
+  } else if (!throttled && throttledStreams.delete(streamName)) {
+    console.log(`✅ Backpressure lifted on ${streamName}`);
+  }
+
+  return {
+    stream: streamName,
+    throttled,
+    reasons,
+    length: streamLag ? streamLag.length : 0,
+    lag: streamLag ? streamLag.lag : 0,
+    timeLagMs: streamLag ? streamLag.timeLagMs : 0,
+    checkedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Check whether publishing to a stream is throttled. Results are reused for
+ * BACKPRESSURE_CHECK_INTERVAL, so a burst of publishes costs one lookup.
+ * If the check itself fails the stream is treated as not throttled.
+ * @param {string} streamName - Name of the stream
+ * @returns {Promise<Object>} { stream, throttled, reasons, ... }
+ */
+const checkBackpressure = async (streamName) => {
+  const policy = getBackpressurePolicy(streamName);
+  if (!policy) {
+    return { stream: streamName, throttled: false, reasons: [] };
+  }
+
+  const cached = checks.get(streamName);
+  if (cached && Date.now() - cached.startedAt < BACKPRESSURE_CHECK_INTERVAL) {
+    return await cached.check;
+  }
+
+  const check = evaluateStream(streamName, policy).catch(error => {
+    console.error(`❌ Error checking backpressure on ${streamName}:`, error.message);
+    checks.delete(streamName);
+    return { stream: streamName, throttled: false, reasons: [] };
+  });
+  checks.set(streamName, { startedAt: Date.now(), check });
+  return await check;
+};
+
+/**
+ * Make sure a stream can take more events. A throttled stream is rechecked
+ * until it recovers or the wait runs out; by default the wait is what the
+ * current request asked for (Prefer: wait), capped at BACKPRESSURE_MAX_WAIT.
+ * @param {string} streamName - Name of the stream
+ * @param {number} waitMs - Optional longest wait in milliseconds
+ * @returns {Promise<void>}
+ * @throws {BackpressureError} If the stream is still throttled
+ */
+const waitForCapacity = async (streamName, waitMs = (getContext() || {}).waitMs || 0) => {
+  const maxWait = Math.min(waitMs, BACKPRESSURE_MAX_WAIT);
+  const startedAt = Date.now();
+
+  let check = await checkBackpressure(streamName);
+  if (!check.throttled) {
+    return;
+  }
+
+  while (check.throttled && Date.now() - startedAt < maxWait) {
+    const remaining = maxWait - (Date.now() - startedAt);
+    await new Promise(resolve => setTimeout(resolve, Math.min(BACKPRESSURE_CHECK_INTERVAL, remaining)));
+    check = await checkBackpressure(streamName);
+  }
+
+  const waited = Date.now() - startedAt;
+  if (!check.throttled) {
+    backpressureDecisions.inc({ stream: streamName, decision: 'waited' });
+    console.log(`🚦 Publish to ${streamName} accepted after waiting ${waited}ms for backpressure`);
+    return;
+  }
+
+  const policy = getBackpressurePolicy(streamName);
+  backpressureDecisions.inc({ stream: streamName, decision: 'rejected' });
+  console.warn(`🚦 Publish to ${streamName} rejected by backpressure${maxWait > 0 ? ` after waiting ${waited}ms` : ''}: ${check.reasons.join('; ')}`);
+
+  throw new BackpressureError(`Stream ${streamName} is backed up; retry later`, {
+    streamName,
+    reasons: check.reasons,
+    statusCode: policy.statusCode,
+    retryAfterMs: policy.retryAfterMs || BACKPRESSURE_RETRY_AFTER
+  });
+};
+
+/**
+ * Make sure several streams can take more events. The streams share one
+ * wait, so a batch never waits longer than a single publish would.
+ * @param {Iterable<string>} streamNames - Names of the streams
+ * @param {number} waitMs - Optional longest wait in milliseconds, for all streams together
+ * @returns {Promise<void>}
+ * @throws {BackpressureError} If a stream is still throttled
+ */
+const waitForCapacityAll = async (streamNames, waitMs = (getContext() || {}).waitMs || 0) => {
+  const deadline = Date.now() + Math.min(waitMs, BACKPRESSURE_MAX_WAIT);
+  for (const streamName of streamNames) {
+    await waitForCapacity(streamName, Math.max(0, deadline - Date.now()));
+  }
+};
+
+/**
+ * Check every stream with a backpressure policy
+ * @returns {Promise<Array<Object>>} Check result and policy per stream
+ */
+const getBackpressureStatus = async () => {
+  const streams = [];
+  for (const [streamName, policy] of Object.entries(BACKPRESSURE_POLICIES)) {
+    streams.push({ ...(await checkBackpressure(streamName)), policy });
+  }
+  return streams;
+};
+
+module.exports = {
+  checkBackpressure,
+  waitForCapacity,
+  waitForCapacityAll,
+  getBackpressureStatus
+};
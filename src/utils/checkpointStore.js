@@ -0,0 +1,73 @@
+const { redis } = require('../config/redis');
+
+/**
+ * Get the Redis hash holding a consumer's checkpoints
+ * @param {string} consumerId - Consumer identifier
+ * @returns {string} Redis key
+ */
+const getCheckpointKey = (consumerId) => `consumer:checkpoints:${consumerId}`;
+
+/**
+ * Get the last committed message ID for a consumer and stream
+ * @param {string} consumerId - Consumer identifier
+ * @param {string} streamName - Name of the stream
+ * @returns {Promise<string|null>} Last committed message ID, or null if none
+ */
+const getCheckpoint = async (consumerId, streamName) => {
+  try {
+    return await redis.hget(getCheckpointKey(consumerId), streamName);
+  } catch (error) {
+    console.error(`❌ Error reading checkpoint for ${consumerId} on ${streamName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get every committed checkpoint for a consumer
+ * @param {string} consumerId - Consumer identifier
+ * @returns {Promise<Object>} { [streamName]: messageId }
+ */
+const getCheckpoints = async (consumerId) => {
+  try {
+    return await redis.hgetall(getCheckpointKey(consumerId));
+  } catch (error) {
+    console.error(`❌ Error reading checkpoints for ${consumerId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Commit the last processed message ID for a consumer and stream
+ * @param {string} consumerId - Consumer identifier
+ * @param {string} streamName - Name of the stream
+ * @param {string} messageId - Last processed message ID
+ */
+const commitCheckpoint = async (consumerId, streamName, messageId) => {
+  try {
+    await redis.hset(getCheckpointKey(consumerId), streamName, messageId);
+  } catch (error) {
+    console.error(`❌ Error committing checkpoint for ${consumerId} on ${streamName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a consumer's checkpoint so it starts over
+ * @param {string} consumerId - Consumer identifier
+ * @param {string} streamName - Name of the stream
+ */
+const resetCheckpoint = async (consumerId, streamName) => {
+  try {
+    await redis.hdel(getCheckpointKey(consumerId), streamName);
+  } catch (error) {
+    console.error(`❌ Error resetting checkpoint for ${consumerId} on ${streamName}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getCheckpoint,
+  getCheckpoints,
+  commitCheckpoint,
+  resetCheckpoint
+};
@@ -0,0 +1,173 @@
+const { getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
+const { compareStreamIds, countEntriesAfter } = require('./streamUtils');
+
+// Default thresholds above which a group is reported as degraded (unset: never)
+const LAG_THRESHOLDS = {
+  maxLag: parseInt(process.env.LAG_THRESHOLD_ENTRIES) || null,
+  maxLagMs: parseInt(process.env.LAG_THRESHOLD_MS) || null
+};
+
+/**
+ * Convert an XINFO reply into an object
+ * @param {Array} info - Flat [key, value, ...] reply
+ * @returns {Object} Parsed info
+ */
+const parseInfo = (info) => {
+  const result = {};
+  for (let i = 0; i < info.length; i += 2) {
+    result[info[i]] = info[i + 1];
+  }
+  return result;
+};
+
+/**
+ * Get the millisecond part of a stream ID
+ * @param {string} id - Stream ID
+ * @returns {number} Milliseconds
+ */
+const getIdTime = (id) => parseInt(String(id).split('-')[0]);
+
+/**
+ * Count the entries a group has not been delivered yet. Redis 7 reports
+ * this as `lag`; it is nil when Redis can't compute it (e.g. after XDEL or
+ * a group created at an arbitrary ID), and older Redis versions don't
+ * report it at all. Then entries-read is used if it can be trusted, and
+ * only as a last resort are the entries after last-delivered-id counted,
+ * up to a limit.
+ * @param {string} streamName - Name of the stream
+ * @param {Object} stream - Parsed XINFO STREAM reply
+ * @param {Object} group - Parsed XINFO GROUPS entry
+ * @returns {Promise<Object>} { lag, lagSource, lagExact } where lagSource is 'lag', 'entries-read'
+ *   or 'range', and lagExact is false when counting stopped at the limit
+ */
+const getCountLag = async (streamName, stream, group) => {
+  if (typeof group.lag === 'number') {
+    return { lag: group.lag, lagSource: 'lag', lagExact: true };
+  }
+
+  const lastDeliveredId = group['last-delivered-id'];
+  if (compareStreamIds(lastDeliveredId, stream['last-generated-id']) >= 0) {
+    return { lag: 0, lagSource: 'range', lagExact: true };
+  }
+
+  // entries-read is only trustworthy when nothing after the group's position was deleted
+  if (
+    typeof group['entries-read'] === 'number' &&
+    typeof stream['entries-added'] === 'number' &&
+    stream['max-deleted-entry-id'] &&
+    compareStreamIds(stream['max-deleted-entry-id'], lastDeliveredId) < 0
+  ) {
+    return { lag: stream['entries-added'] - group['entries-read'], lagSource: 'entries-read', lagExact: true };
+  }
+
+  const { count, exact } = await countEntriesAfter(streamName, lastDeliveredId);
+  return { lag: count, lagSource: 'range', lagExact: exact };
+};
+
+/**
+ * Measure how far behind a group is in time: the age of the oldest entry
+ * not yet delivered to it, taken from the millisecond part of its ID. A
+ * group that is caught up has no time lag, however old its last entry.
+ * @param {Object} redis - Redis connection
+ * @param {string} streamName - Name of the stream
+ * @param {Object} group - Parsed XINFO GROUPS entry
+ * @param {number} lag - Count lag
+ * @returns {Promise<number>} Time lag in milliseconds
+ */
+const getTimeLag = async (redis, streamName, group, lag) => {
+  if (lag === 0) {
+    return 0;
+  }
+
+  const [oldest] = await redis.xrange(streamName, `(${group['last-delivered-id']}`, '+', 'COUNT', 1);
+  if (!oldest) {
+    return 0;
+  }
+
+  return Math.max(0, Date.now() - getIdTime(oldest[0]));
+};
+
+/**
+ * Compare a group's lag against the thresholds
+ * @param {Object} groupLag - { lag, timeLagMs }
+ * @param {Object} thresholds - { maxLag, maxLagMs }; null values are ignored
+ * @returns {Array<string>} Reasons the group is degraded (empty if healthy)
+ */
+const getDegradedReasons = ({ lag, timeLagMs }, thresholds) => {
+  const reasons = [];
+  if (thresholds.maxLag !== null && lag > thresholds.maxLag) {
+    reasons.push(`lag ${lag} exceeds ${thresholds.maxLag} entries`);
+  }
+  if (thresholds.maxLagMs !== null && timeLagMs > thresholds.maxLagMs) {
+    reasons.push(`time lag ${timeLagMs}ms exceeds ${thresholds.maxLagMs}ms`);
+  }
+  return reasons;
+};
+
+/**
+ * Get the consumers of a group as Redis knows them
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @returns {Promise<Array<Object>>} Parsed XINFO CONSUMERS entries ({ name, pending, idle, ... })
+ */
+const getGroupConsumers = async (streamName, groupName) => {
+  const redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+  return (await redis.xinfo('CONSUMERS', streamName, groupName)).map(parseInfo);
+};
+
+/**
+ * Get the lag of every consumer group of a stream
+ * @param {string} streamName - Name of the stream
+ * @param {Object} thresholds - Optional { maxLag, maxLagMs } (defaults to LAG_THRESHOLDS)
+ * @returns {Promise<Object|null>} Stream lag report, or null if the stream doesn't exist
+ */
+const getStreamLag = async (streamName, thresholds = {}) => {
+  const limits = { ...LAG_THRESHOLDS, ...thresholds };
+  const redis = getRedisConnection(CONNECTION_ROLES.ADMIN);
+
+  if (!(await redis.exists(streamName))) {
+    return null;
+  }
+
+  const stream = parseInfo(await redis.xinfo('STREAM', streamName));
+  const groups = (await redis.xinfo('GROUPS', streamName)).map(parseInfo);
+
+  const groupLags = [];
+  for (const group of groups) {
+    const { lag, lagSource, lagExact } = await getCountLag(streamName, stream, group);
+    const timeLagMs = await getTimeLag(redis, streamName, group, lag);
+    const reasons = getDegradedReasons({ lag, timeLagMs }, limits);
+
+    groupLags.push({
+      name: group.name,
+      lastDeliveredId: group['last-delivered-id'],
+      entriesRead: typeof group['entries-read'] === 'number' ? group['entries-read'] : null,
+      lag,
+      lagSource,
+      lagExact,
+      timeLagMs,
+      pending: group.pending,
+      consumers: group.consumers,
+      status: reasons.length > 0 ? 'degraded' : 'ok',
+      reasons
+    });
+  }
+
+  return {
+    stream: streamName,
+    length: stream.length,
+    lastGeneratedId: stream['last-generated-id'],
+    // The stream is as far behind as its slowest group
+    lag: Math.max(0, ...groupLags.map(group => group.lag)),
+    timeLagMs: Math.max(0, ...groupLags.map(group => group.timeLagMs)),
+    status: groupLags.some(group => group.status === 'degraded') ? 'degraded' : 'ok',
+    thresholds: limits,
+    groups: groupLags
+  };
+};
+
+module.exports = {
+  LAG_THRESHOLDS,
+  getStreamLag,
+  getGroupConsumers
+};
@@ -0,0 +1,113 @@
+/**
+ * Raised when an event payload doesn't match its registered JSON Schema,
+ * or when strict mode rejects an event type with no schema
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.eventType - Event type being validated
+   * @param {Array<Object>} options.details - Validation errors as { path, message, keyword, params }
+   */
+  constructor(message, { eventType = null, details = [] } = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.statusCode = 400;
+    this.eventType = eventType;
+    this.details = details;
+  }
+
+  /**
+   * Build the JSON body returned to API callers
+   * @returns {Object} { error, eventType, details }
+   */
+  toResponse() {
+    return {
+      error: this.message,
+      eventType: this.eventType,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Raised when an atomic batch could not be published as a whole
+ */
+class BatchPublishError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.mode - Batch mode
+   * @param {number} options.statusCode - HTTP status (400 when the request is at fault)
+   * @param {Array<Object>} options.results - Per-event results, when known
+   */
+  constructor(message, { mode, statusCode = 500, results = [] } = {}) {
+    super(message);
+    this.name = 'BatchPublishError';
+    this.statusCode = statusCode;
+    this.mode = mode;
+    this.results = results;
+  }
+
+  /**
+   * Build the JSON body returned to API callers
+   * @returns {Object} { error, mode, results }
+   */
+  toResponse() {
+    return {
+      error: this.message,
+      mode: this.mode,
+      results: this.results
+    };
+  }
+}
+
+/**
+ * Raised when a publish is refused because the stream or its consumers
+ * have fallen too far behind
+ */
+class BackpressureError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {string} options.streamName - Throttled stream
+   * @param {Array<string>} options.reasons - Limits the stream is over
+   * @param {number} options.statusCode - HTTP status (429 or 503)
+   * @param {number} options.retryAfterMs - How long callers should wait before retrying
+   */
+  constructor(message, { streamName, reasons = [], statusCode = 503, retryAfterMs = 5000 } = {}) {
+    super(message);
+    this.name = 'BackpressureError';
+    this.statusCode = statusCode;
+    this.streamName = streamName;
+    this.reasons = reasons;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Retry-After header value
+   * @returns {number} Whole seconds
+   */
+  get retryAfterSeconds() {
+    return Math.ceil(this.retryAfterMs / 1000);
+  }
+
+  /**
+   * Build the JSON body returned to API callers
+   * @returns {Object} { error, stream, reasons, retryAfter }
+   */
+  toResponse() {
+    return {
+      error: this.message,
+      stream: this.streamName,
+      reasons: this.reasons,
+      retryAfter: this.retryAfterSeconds
+    };
+  }
+}
+
+module.exports = {
+  SchemaValidationError,
+  BatchPublishError,
+  BackpressureError
+};
@@ -0,0 +1,126 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Event } = require('../models');
+
+/**
+ * Build the dedupe lookup for a delivery. The event UUID written by
+ * addToStream survives retries and requeues, so it is preferred over
+ * the stream message ID when present.
+ * @param {string} streamName - Stream name
+ * @param {string} messageId - Stream message ID
+ * @param {string} eventKey - Event UUID from the stream entry (optional)
+ * @param {string} consumerGroup - Consumer group (or consumer ID for non-group consumers)
+ * @returns {Object} Sequelize where clause
+ */
+const getDedupeWhere = (streamName, messageId, eventKey, consumerGroup) => {
+  if (eventKey) {
+    return { eventKey, consumerGroup };
+  }
+  return { streamName, streamId: messageId, consumerGroup };
+};
+
+/**
+ * Record a delivery in the events table, once per (stream, message, consumer group)
+ * @param {Object} delivery - Delivery details
+ * @param {string} delivery.streamName - Stream name
+ * @param {string} delivery.messageId - Stream message ID
+ * @param {string} delivery.eventKey - Event UUID from the stream entry (optional)
+ * @param {string} delivery.consumerGroup - Consumer group (or consumer ID for non-group consumers)
+ * @param {string} delivery.consumerId - Consumer that handled the delivery
+ * @param {string} delivery.eventType - Event type
+ * @param {Object} delivery.payload - Event payload
+ * @param {string} delivery.correlationId - Correlation ID from the stream entry (optional)
+ * @param {string} delivery.causationId - Causation ID from the stream entry (optional)
+ * @returns {Promise<Object>} { event, alreadyProcessed }
+ */
+const recordEvent = async ({
+  streamName,
+  messageId,
+  eventKey,
+  consumerGroup,
+  consumerId,
+  eventType,
+  payload,
+  correlationId,
+  causationId
+}) => {
+  const where = getDedupeWhere(streamName, messageId, eventKey, consumerGroup);
+
+  const existing = await Event.findOne({ where });
+  if (existing) {
+    if (existing.processed) {
+      return { event: existing, alreadyProcessed: true };
+    }
+
+    // Redelivery of an event that has not completed yet
+    await existing.update({ streamName, streamId: messageId, consumerId });
+    return { event: existing, alreadyProcessed: false };
+  }
+
+  try {
+    const event = await Event.create({
+      streamId: messageId,
+      streamName,
+      eventKey: eventKey || null,
+      consumerGroup,
+      eventType,
+      payload,
+      processed: false,
+      consumerId,
+      userId: payload.userId || null,
+      correlationId: correlationId || null,
+      causationId: causationId || null
+    });
+    return { event, alreadyProcessed: false };
+  } catch (error) {
+    // Another consumer recorded the same delivery concurrently
+    if (error instanceof UniqueConstraintError) {
+      const event = await Event.findOne({ where });
+      return { event, alreadyProcessed: Boolean(event && event.processed) };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark a recorded delivery as processed
+ * @param {string} streamName - Stream name
+ * @param {string} messageId - Stream message ID
+ * @param {string} consumerGroup - Consumer group (or consumer ID for non-group consumers)
+ */
+const markProcessed = async (streamName, messageId, consumerGroup) => {
+  await Event.update(
+    {
+      processed: true,
+      processedAt: new Date(),
+      error: null
+    },
+    {
+      where: { streamName, streamId: messageId, consumerGroup }
+    }
+  );
+};
+
+/**
+ * Record a processing error on a delivery
+ * @param {string} streamName - Stream name
+ * @param {string} messageId - Stream message ID
+ * @param {string} consumerGroup - Consumer group (or consumer ID for non-group consumers)
+ * @param {Error} error - Error object
+ */
+const markFailed = async (streamName, messageId, consumerGroup, error) => {
+  await Event.update(
+    {
+      error: error.message,
+      processedAt: new Date()
+    },
+    {
+      where: { streamName, streamId: messageId, consumerGroup }
+    }
+  );
+};
+
+module.exports = {
+  recordEvent,
+  markProcessed,
+  markFailed
+};
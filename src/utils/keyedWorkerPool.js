@@ -0,0 +1,76 @@
+/**
+ * Keyed Worker Pool
+ * Runs async tasks with bounded concurrency while keeping tasks
+ * that share a key strictly in submission order
+ */
+class KeyedWorkerPool {
+  /**
+   * @param {number} concurrency - Maximum number of tasks running at once
+   */
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+    this.queue = [];
+    this.activeKeys = new Set();
+    this.running = 0;
+  }
+
+  /**
+   * Submit a task
+   * @param {string} key - Partition key; tasks with the same key never overlap
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Resolves with the task result once it has run
+   */
+  submit(key, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ key, task, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Start as many queued tasks as the concurrency limit and key locks allow
+   */
+  schedule() {
+    for (let i = 0; i < this.queue.length && this.running < this.concurrency; ) {
+      const item = this.queue[i];
+
+      // An earlier task with this key is still running; later ones must wait their turn
+      if (this.activeKeys.has(item.key)) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.run(item);
+    }
+  }
+
+  /**
+   * Run a single task and release its key when done
+   * @param {Object} item - Queued task
+   */
+  async run({ key, task, resolve, reject }) {
+    this.running++;
+    this.activeKeys.add(key);
+
+    try {
+      resolve(await task());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.running--;
+      this.activeKeys.delete(key);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Number of tasks currently running or waiting
+   * @returns {number} Pending task count
+   */
+  get size() {
+    return this.running + this.queue.length;
+  }
+}
+
+module.exports = KeyedWorkerPool;
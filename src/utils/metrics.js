@@ -0,0 +1,228 @@
+const http = require('http');
+const client = require('prom-client');
+
+// Prefix of every metric name
+const METRIC_PREFIX = 'redis_streams_';
+// Longest a scrape waits for stream stats; commands queue while Redis is down
+const STREAM_STATS_TIMEOUT = 2000;
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: METRIC_PREFIX });
+
+const eventsPublished = new client.Counter({
+  name: `${METRIC_PREFIX}events_published_total`,
+  help: 'Events added to a stream',
+  labelNames: ['stream', 'event_type'],
+  registers: [register]
+});
+
+const publishErrors = new client.Counter({
+  name: `${METRIC_PREFIX}publish_errors_total`,
+  help: 'Failed attempts to add an event to a stream',
+  labelNames: ['stream', 'event_type'],
+  registers: [register]
+});
+
+const eventsProcessed = new client.Counter({
+  name: `${METRIC_PREFIX}events_processed_total`,
+  help: 'Events handled successfully by a consumer',
+  labelNames: ['stream', 'event_type', 'consumer_group'],
+  registers: [register]
+});
+
+const eventsFailed = new client.Counter({
+  name: `${METRIC_PREFIX}events_failed_total`,
+  help: 'Events whose handling failed',
+  labelNames: ['stream', 'event_type', 'consumer_group'],
+  registers: [register]
+});
+
+const eventsAcked = new client.Counter({
+  name: `${METRIC_PREFIX}events_acked_total`,
+  help: 'Entries acknowledged in a consumer group (XACK)',
+  labelNames: ['stream', 'consumer_group'],
+  registers: [register]
+});
+
+const handlerDuration = new client.Histogram({
+  name: `${METRIC_PREFIX}handler_duration_seconds`,
+  help: 'Time spent running the handlers for an event',
+  labelNames: ['stream', 'event_type', 'consumer_group'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const backpressureActive = new client.Gauge({
+  name: `${METRIC_PREFIX}backpressure_active`,
+  help: 'Whether publishing to a stream is throttled by backpressure (1) or not (0)',
+  labelNames: ['stream'],
+  registers: [register]
+});
+
+const backpressureDecisions = new client.Counter({
+  name: `${METRIC_PREFIX}backpressure_decisions_total`,
+  help: 'Publishes held up by backpressure, by decision (rejected, or accepted after waiting)',
+  labelNames: ['stream', 'decision'],
+  registers: [register]
+});
+
+/**
+ * Read stream length and per-group lag and pending counts.
+ * Runs once per scrape and is shared by the stream gauges.
+ * @returns {Promise<Array>} Stream lag reports (see utils/consumerLag.js)
+ */
+const readStreamStats = async () => {
+  // Required here: streamUtils loads this module to count publishes
+  const { STREAMS } = require('./streamUtils');
+  const { getStreamLag } = require('./consumerLag');
+  const stats = [];
+
+  for (const stream of Object.values(STREAMS)) {
+    const streamLag = await getStreamLag(stream);
+    if (streamLag) {
+      stats.push(streamLag);
+    }
+  }
+
+  return stats;
+};
+
+let streamStatsScrape = null;
+
+/**
+ * Get the stream stats for the current scrape, reading them at most once
+ * @returns {Promise<Array>} Stream stats
+ */
+const getStreamStats = () => {
+  if (!streamStatsScrape) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${STREAM_STATS_TIMEOUT}ms`)), STREAM_STATS_TIMEOUT);
+    });
+
+    // Without Redis the stream gauges are left out rather than failing the scrape
+    streamStatsScrape = Promise.race([readStreamStats(), timeout]).catch(error => {
+      console.error('❌ Error reading stream stats for metrics:', error.message);
+      return [];
+    }).finally(() => {
+      clearTimeout(timer);
+      // Let the next scrape read fresh values
+      setImmediate(() => {
+        streamStatsScrape = null;
+      });
+    });
+  }
+  return streamStatsScrape;
+};
+
+new client.Gauge({
+  name: `${METRIC_PREFIX}stream_length`,
+  help: 'Entries in a stream (XLEN)',
+  labelNames: ['stream'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const { stream, length } of await getStreamStats()) {
+      this.set({ stream }, length);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${METRIC_PREFIX}consumer_group_lag`,
+  help: 'Entries not yet delivered to a consumer group',
+  labelNames: ['stream', 'consumer_group'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const { stream, groups } of await getStreamStats()) {
+      for (const group of groups) {
+        this.set({ stream, consumer_group: group.name }, group.lag);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${METRIC_PREFIX}consumer_group_lag_seconds`,
+  help: 'Age of the oldest entry not yet delivered to a consumer group',
+  labelNames: ['stream', 'consumer_group'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const { stream, groups } of await getStreamStats()) {
+      for (const group of groups) {
+        this.set({ stream, consumer_group: group.name }, group.timeLagMs / 1000);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${METRIC_PREFIX}consumer_group_pending`,
+  help: 'Entries delivered to a consumer group but not yet acknowledged',
+  labelNames: ['stream', 'consumer_group'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    for (const { stream, groups } of await getStreamStats()) {
+      for (const group of groups) {
+        this.set({ stream, consumer_group: group.name }, group.pending);
+      }
+    }
+  }
+});
+
+/**
+ * Express handler serving the metrics in Prometheus text format
+ */
+const metricsHandler = async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    console.error('❌ Error collecting metrics:', error);
+    res.status(500).end(error.message);
+  }
+};
+
+/**
+ * Serve /metrics on its own port, for worker processes without an HTTP API
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} Metrics server
+ */
+const startMetricsServer = (port) => {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { 'Content-Type': register.contentType }).end(body);
+    } catch (error) {
+      console.error('❌ Error collecting metrics:', error);
+      res.writeHead(500).end(error.message);
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`📈 Metrics: http://localhost:${port}/metrics`);
+  });
+  return server;
+};
+
+module.exports = {
+  register,
+  eventsPublished,
+  publishErrors,
+  eventsProcessed,
+  eventsFailed,
+  eventsAcked,
+  handlerDuration,
+  backpressureActive,
+  backpressureDecisions,
+  metricsHandler,
+  startMetricsServer
+};
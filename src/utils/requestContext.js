@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// traceparent: version-traceid-parentid-flags (W3C Trace Context)
+const TRACEPARENT_PATTERN = /^[\da-f]{2}-([\da-f]{32})-[\da-f]{16}-[\da-f]{2}$/i;
+// Upper bound on accepted X-Request-Id values, so clients can't bloat entries
+const MAX_REQUEST_ID_LENGTH = 128;
+// wait preference of a Prefer header (RFC 7240), in seconds
+const PREFER_WAIT_PATTERN = /(?:^|[\s,;])wait\s*=\s*(\d+)/i;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a correlation context. Events published from inside
+ * it (addToStream) carry the context's correlationId and causationId.
+ * @param {Object} context - Context
+ * @param {string} context.correlationId - ID shared by everything caused by the same request
+ * @param {string} context.causationId - ID of the event that caused the work (optional)
+ * @param {number} context.waitMs - How long a publish may wait for a throttled stream (optional)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the current correlation context
+ * @returns {Object|null} { correlationId, causationId, waitMs }, or null outside a context
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Extract the trace ID from a traceparent header
+ * @param {string} header - traceparent header value
+ * @returns {string|null} Trace ID, or null if the header is missing or malformed
+ */
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim());
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Pick the correlation ID for an HTTP request: X-Request-Id, then the
+ * traceparent trace ID, then a new UUID
+ * @param {Object} req - Express request
+ * @returns {string} Correlation ID
+ */
+const getRequestCorrelationId = (req) => {
+  const requestId = String(req.get('X-Request-Id') || '').trim();
+  if (requestId && requestId.length <= MAX_REQUEST_ID_LENGTH) {
+    return requestId;
+  }
+  return parseTraceparent(req.get('traceparent')) || uuidv4();
+};
+
+/**
+ * Read how long the caller is willing to wait from a Prefer header
+ * @param {string} header - Prefer header value, e.g. "wait=10"
+ * @returns {number} Wait in milliseconds (0 if not given)
+ */
+const parsePreferWait = (header) => {
+  const match = PREFER_WAIT_PATTERN.exec(String(header || ''));
+  return match ? parseInt(match[1]) * 1000 : 0;
+};
+
+/**
+ * Express middleware running each request in its own correlation context.
+ * The correlation ID is echoed back in the X-Request-Id response header.
+ * A "Prefer: wait=<seconds>" header lets publishes wait out backpressure.
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const correlationId = getRequestCorrelationId(req);
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+
+  runWithContext({
+    correlationId,
+    causationId: null,
+    waitMs: parsePreferWait(req.get('Prefer'))
+  }, next);
+};
+
+/**
+ * Build the context for handling a consumed event: events published while
+ * handling it share its correlation ID and name it as their cause
+ * @param {Object} messageData - Parsed message data
+ * @returns {Object} Context for runWithContext
+ */
+const getMessageContext = (messageData) => ({
+  correlationId: messageData.correlationId || messageData.id || uuidv4(),
+  causationId: messageData.id || null
+});
+
+module.exports = {
+  runWithContext,
+  getContext,
+  parseTraceparent,
+  parsePreferWait,
+  requestContextMiddleware,
+  getMessageContext
+};
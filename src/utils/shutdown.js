@@ -0,0 +1,97 @@
+// Default time allowed for in-flight work to finish before forcing exit
+const SHUTDOWN_GRACE_PERIOD = parseInt(process.env.SHUTDOWN_GRACE_PERIOD_MS) || 10000;
+
+/**
+ * Wait for a promise to settle, giving up after a timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<boolean>} True if the promise settled in time
+ */
+const waitFor = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+
+  return Promise.race([
+    promise.then(() => true, () => true),
+    timeout
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Stop accepting HTTP connections and wait for in-flight requests
+ * @param {http.Server} server - HTTP server
+ * @param {number} gracePeriod - Maximum time (ms) to wait for in-flight requests
+ * @returns {Promise<boolean>} True if all requests finished in time
+ */
+const closeHttpServer = async (server, gracePeriod = SHUTDOWN_GRACE_PERIOD) => {
+  const closed = new Promise(resolve => server.close(resolve));
+
+  // Keep-alive connections become idle as their last response finishes
+  server.closeIdleConnections();
+  const idleTimer = setInterval(() => server.closeIdleConnections(), 100);
+
+  const drained = await waitFor(closed, gracePeriod);
+  clearInterval(idleTimer);
+  if (!drained) {
+    console.warn(`⚠️ HTTP requests still in flight after ${gracePeriod}ms, closing connections`);
+    server.closeAllConnections();
+  }
+
+  return drained;
+};
+
+/**
+ * Install SIGINT/SIGTERM handlers that run shutdown steps in order
+ * @param {Array<Object>} steps - Array of { name, run } where run is an async function
+ * @param {Object} options - Optional settings
+ * @param {number} options.gracePeriod - Maximum time (ms) for all steps before forcing exit
+ * @param {string} options.label - What is being shut down, for log output
+ */
+const setupGracefulShutdown = (steps, options = {}) => {
+  const gracePeriod = options.gracePeriod || SHUTDOWN_GRACE_PERIOD;
+  const label = options.label || 'process';
+  let shuttingDown = false;
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      console.log(`\n⚠️ Received ${signal} again, forcing exit`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    console.log(`\n🛑 Received ${signal}, shutting down ${label} gracefully (grace period ${gracePeriod}ms)...`);
+
+    // Hard deadline in case a step hangs
+    const forceExit = setTimeout(() => {
+      console.error(`❌ Graceful shutdown of ${label} timed out, forcing exit`);
+      process.exit(1);
+    }, gracePeriod + 5000);
+    forceExit.unref();
+
+    let exitCode = 0;
+    for (const step of steps) {
+      try {
+        await step.run(gracePeriod);
+        console.log(`✅ ${step.name}`);
+      } catch (error) {
+        exitCode = 1;
+        console.error(`❌ Shutdown step failed (${step.name}):`, error);
+      }
+    }
+
+    console.log(`👋 ${label} shut down`);
+    process.exit(exitCode);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+module.exports = {
+  SHUTDOWN_GRACE_PERIOD,
+  waitFor,
+  closeHttpServer,
+  setupGracefulShutdown
+};
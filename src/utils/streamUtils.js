@@ -1,5 +1,10 @@
-const { redis } = require('../config/redis');
+const { redis, getRedisConnection, CONNECTION_ROLES } = require('../config/redis');
 const { v4: uuidv4 } = require('uuid');
+const { getInlineTrimArgs } = require('../config/retention');
+const { INITIAL_SCHEMA_VERSION, getCurrentVersion, upcast } = require('./upcasters');
+const { getContext } = require('./requestContext');
+const { eventsPublished, publishErrors, eventsAcked } = require('./metrics');
+const { BatchPublishError } = require('./errors');
 
 // Stream names
 const STREAMS = {
@@ -9,6 +14,33 @@ const STREAMS = {
   SYSTEM_LOGS: 'system:logs'
 };
 
+// Metadata fields added to entries moved to a dead-letter stream
+const DEAD_LETTER_FIELDS = [
+  'originalStream',
+  'originalId',
+  'consumerGroup',
+  'failureReason',
+  'attempts',
+  'deadLetteredAt'
+];
+
+// Fields dropped when a dead-lettered entry is requeued, so it gets its
+// full retries again
+const REQUEUE_RESET_FIELDS = ['attempt'];
+
+// Largest sequence number a stream ID can have
+const MAX_SEQUENCE = 18446744073709551615n;
+
+// Most entries countEntriesAfter pages through before giving up
+const COUNT_ENTRIES_LIMIT = 10000;
+
+// How a batch of events is sent: pipelined events land independently,
+// atomic ones (MULTI/EXEC) all land or none do
+const BATCH_MODES = {
+  PIPELINED: 'pipelined',
+  ATOMIC: 'atomic'
+};
+
 // Event types
 const EVENT_TYPES = {
   USER_CREATED: 'user.created',
@@ -21,43 +53,237 @@ const EVENT_TYPES = {
   SYSTEM_INFO: 'system.info'
 };
 
+/**
+ * Build the correlation fields for a new entry from the current request
+ * or event context. Outside any context the entry starts a new correlation.
+ * @returns {Object} { correlationId, causationId? }
+ */
+const getCorrelationFields = () => {
+  const context = getContext();
+  if (!context) {
+    return { correlationId: uuidv4() };
+  }
+
+  const fields = { correlationId: context.correlationId };
+  if (context.causationId) {
+    fields.causationId = context.causationId;
+  }
+  return fields;
+};
+
+/**
+ * Build the fields of a new stream entry
+ * @param {string} eventType - Type of event
+ * @param {Object} payload - Event payload
+ * @param {Object} metadata - Optional extra fields; may override the generated
+ *   event id, schemaVersion, correlationId and causationId
+ * @returns {Object} Entry fields
+ */
+const buildEntryFields = (eventType, payload, metadata = {}) => ({
+  eventType,
+  payload: JSON.stringify(payload),
+  schemaVersion: getCurrentVersion(eventType),
+  timestamp: Date.now(),
+  id: uuidv4(),
+  ...getCorrelationFields(),
+  ...metadata
+});
+
+/**
+ * Build the XADD arguments for an entry. Streams with an inline retention
+ * policy are trimmed as they grow.
+ * @param {string} streamName - Name of the stream
+ * @param {string} id - Message ID ('*' to let Redis generate it)
+ * @param {Object} fields - Entry fields
+ * @returns {Array} XADD arguments
+ */
+const getXaddArgs = (streamName, id, fields) => [
+  streamName,
+  ...getInlineTrimArgs(streamName),
+  id,
+  ...Object.entries(fields).flat()
+];
+
 /**
  * Add an event to a Redis Stream
  * @param {string} streamName - Name of the stream
  * @param {string} eventType - Type of event
  * @param {Object} payload - Event payload
  * @param {string} id - Optional message ID (defaults to '*')
+ * @param {Object} metadata - Optional extra fields (e.g. attempt); may override the generated
+ *   event id, schemaVersion, correlationId and causationId
  * @returns {Promise<string>} Message ID
  */
-const addToStream = async (streamName, eventType, payload, id = '*') => {
+const addToStream = async (streamName, eventType, payload, id = '*', metadata = {}) => {
   try {
-    const messageId = await redis.xadd(
-      streamName,
-      id,
-      'eventType', eventType,
-      'payload', JSON.stringify(payload),
-      'timestamp', Date.now(),
-      'id', uuidv4()
+    const fields = buildEntryFields(eventType, payload, metadata);
+    const messageId = await getRedisConnection(CONNECTION_ROLES.PUBLISHER).xadd(
+      ...getXaddArgs(streamName, id, fields)
     );
     
+    eventsPublished.inc({ stream: streamName, event_type: eventType });
     console.log(`📤 Added event to stream ${streamName}: ${eventType} (ID: ${messageId})`);
     return messageId;
   } catch (error) {
+    publishErrors.inc({ stream: streamName, event_type: eventType });
     console.error(`❌ Error adding to stream ${streamName}:`, error);
     throw error;
   }
 };
 
+/**
+ * Find the streams of a batch whose key holds something other than a stream.
+ * XADD to such a key fails only once EXEC runs, after the other entries of
+ * the transaction were added, so an atomic batch checks for them up front.
+ * @param {Redis} client - Redis connection
+ * @param {Array<string>} streamNames - Stream names
+ * @returns {Promise<Array<string>>} Names of the keys that aren't streams
+ */
+const findNonStreamKeys = async (client, streamNames) => {
+  const names = [...new Set(streamNames)];
+  const pipeline = client.pipeline();
+  names.forEach(name => pipeline.type(name));
+  const replies = await pipeline.exec();
+
+  return names.filter((name, index) => {
+    const [error, type] = replies[index];
+    if (error) {
+      throw error;
+    }
+    return type !== 'stream' && type !== 'none';
+  });
+};
+
+/**
+ * Add several events in one round trip
+ * @param {Array} events - Array of {streamName, eventType, payload} objects
+ * @param {string} mode - One of BATCH_MODES (defaults to pipelined)
+ * @returns {Promise<Array<Object>>} One { index, streamName, eventType, messageId, error } per
+ *   event, in order; error is null for published events and messageId null for failed ones
+ * @throws {BatchPublishError} In atomic mode, if the batch was not published
+ */
+const addBatchToStreams = async (events, mode = BATCH_MODES.PIPELINED) => {
+  const publisher = getRedisConnection(CONNECTION_ROLES.PUBLISHER);
+  const atomic = mode === BATCH_MODES.ATOMIC;
+
+  const countFailures = () => events.forEach(event => {
+    publishErrors.inc({ stream: event.streamName, event_type: event.eventType });
+  });
+
+  if (atomic) {
+    const nonStreamKeys = await findNonStreamKeys(publisher, events.map(event => event.streamName));
+    if (nonStreamKeys.length > 0) {
+      countFailures();
+      throw new BatchPublishError(`Keys are not streams: ${nonStreamKeys.join(', ')}`, {
+        mode,
+        statusCode: 400,
+        results: events.map((event, index) => ({
+          index,
+          streamName: event.streamName,
+          eventType: event.eventType,
+          messageId: null,
+          error: nonStreamKeys.includes(event.streamName)
+            ? 'Key holds a value that is not a stream'
+            : 'Not published: batch rejected'
+        }))
+      });
+    }
+  }
+
+  const batch = atomic ? publisher.multi() : publisher.pipeline();
+  events.forEach(event => {
+    batch.xadd(...getXaddArgs(event.streamName, '*', buildEntryFields(event.eventType, event.payload)));
+  });
+
+  let replies;
+  try {
+    replies = await batch.exec();
+  } catch (error) {
+    // EXECABORT: Redis refused to queue a command, so nothing was added
+    countFailures();
+    console.error(`❌ Error adding batch of ${events.length} events (${mode}):`, error);
+    throw atomic ? new BatchPublishError(`Batch not published: ${error.message}`, { mode }) : error;
+  }
+
+  const results = events.map((event, index) => {
+    const [error, messageId] = replies[index];
+    const labels = { stream: event.streamName, event_type: event.eventType };
+    if (error) {
+      publishErrors.inc(labels);
+    } else {
+      eventsPublished.inc(labels);
+    }
+
+    return {
+      index,
+      streamName: event.streamName,
+      eventType: event.eventType,
+      messageId: error ? null : messageId,
+      error: error ? error.message : null
+    };
+  });
+
+  const failed = results.filter(result => result.error).length;
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${events.length} batch events could not be added (${mode})`);
+    // Only a key changing type after the up-front check gets here in atomic mode
+    if (atomic) {
+      throw new BatchPublishError('Batch partially published: a key changed type during the transaction', {
+        mode,
+        results
+      });
+    }
+  }
+
+  console.log(`📤 Added ${events.length - failed} batch events to streams (${mode})`);
+  return results;
+};
+
+/**
+ * Parse stream entry fields into structured data. The payload is upcast to
+ * the current version of its event type, so handlers only see that shape.
+ * @param {Array} fields - Raw message fields
+ * @returns {Object} Parsed message data
+ * @throws {Error} If the payload isn't valid JSON or can't be upcast
+ */
+const parseMessageFields = (fields) => {
+  const data = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    data[fields[i]] = fields[i + 1];
+  }
+
+  const { payload, schemaVersion } = upcast(
+    data.eventType,
+    parseInt(data.schemaVersion) || INITIAL_SCHEMA_VERSION,
+    JSON.parse(data.payload || '{}')
+  );
+
+  return {
+    eventType: data.eventType,
+    payload,
+    schemaVersion,
+    timestamp: parseInt(data.timestamp) || Date.now(),
+    id: data.id,
+    correlationId: data.correlationId || null,
+    causationId: data.causationId || null,
+    attempt: parseInt(data.attempt) || 0,
+    targetGroup: data.targetGroup || null
+  };
+};
+
 /**
  * Read from a Redis Stream
  * @param {string} streamName - Name of the stream
  * @param {string} startId - Starting message ID ('0' for beginning, '$' for new messages)
  * @param {number} count - Maximum number of messages to read
+ * @param {number|null} blockTime - Block time in milliseconds (null for no blocking)
+ * @param {Redis} client - Redis connection to use; blocking reads need a dedicated one
  * @returns {Promise<Array>} Array of messages
  */
-const readFromStream = async (streamName, startId = '0', count = 10) => {
+const readFromStream = async (streamName, startId = '0', count = 10, blockTime = null, client = redis) => {
   try {
-    const result = await redis.xread('COUNT', count, 'STREAMS', streamName, startId);
+    const blockArgs = blockTime === null ? [] : ['BLOCK', blockTime];
+    const result = await client.xread('COUNT', count, ...blockArgs, 'STREAMS', streamName, startId);
     return result || [];
   } catch (error) {
     console.error(`❌ Error reading from stream ${streamName}:`, error);
@@ -69,25 +295,33 @@ const readFromStream = async (streamName, startId = '0', count = 10) => {
  * Read from multiple streams
  * @param {Array} streams - Array of {name, id} objects
  * @param {number} count - Maximum number of messages per stream
+ * @param {number|null} blockTime - Block time in milliseconds (null for no blocking)
+ * @param {Redis} client - Redis connection to use; blocking reads need a dedicated one
  * @returns {Promise<Array>} Array of stream results
  */
-const readFromStreams = async (streams, count = 10) => {
+const readFromStreams = async (streams, count = 10, blockTime = null, client = redis) => {
   try {
-    // Filter out streams that don't exist
-    const existingStreams = [];
-    for (const stream of streams) {
-      const length = await redis.xlen(stream.name);
-      if (length > 0) {
-        existingStreams.push(stream);
+    let readableStreams = streams;
+
+    // When polling, skip streams that don't exist yet. A blocking read
+    // must include them so it wakes up on their first message.
+    if (blockTime === null) {
+      readableStreams = [];
+      for (const stream of streams) {
+        const length = await client.xlen(stream.name);
+        if (length > 0) {
+          readableStreams.push(stream);
+        }
       }
     }
 
-    if (existingStreams.length === 0) {
+    if (readableStreams.length === 0) {
       return [];
     }
 
-    const streamArgs = existingStreams.flatMap(s => [s.name, s.id]);
-    const result = await redis.xread('COUNT', count, 'STREAMS', ...streamArgs);
+    const blockArgs = blockTime === null ? [] : ['BLOCK', blockTime];
+    const streamArgs = readableStreams.flatMap(s => [s.name, s.id]);
+    const result = await client.xread('COUNT', count, ...blockArgs, 'STREAMS', ...streamArgs);
     return result || [];
   } catch (error) {
     console.error('❌ Error reading from streams:', error);
@@ -119,20 +353,23 @@ const createConsumerGroup = async (streamName, groupName, startId = '0') => {
 
 /**
  * Read from a consumer group
- * @param {string} streamName - Name of the stream
+ * @param {string|Array<string>} streamNames - Name of the stream, or several streams to read in one call
  * @param {string} groupName - Name of the consumer group
  * @param {string} consumerName - Name of the consumer
- * @param {number} count - Maximum number of messages to read
- * @param {number} blockTime - Block time in milliseconds (0 for no blocking)
- * @returns {Promise<Array>} Array of messages
+ * @param {number} count - Maximum number of messages to read per stream
+ * @param {number} blockTime - Block time in milliseconds (0 blocks until a message arrives)
+ * @param {Redis} client - Redis connection to use; blocking reads need a dedicated one
+ * @returns {Promise<Array>} Array of [streamName, messages] results
  */
-const readFromConsumerGroup = async (streamName, groupName, consumerName, count = 1, blockTime = 0) => {
+const readFromConsumerGroup = async (streamNames, groupName, consumerName, count = 1, blockTime = 0, client = redis) => {
+  const names = Array.isArray(streamNames) ? streamNames : [streamNames];
+
   try {
-    const result = await redis.xreadgroup(
+    const result = await client.xreadgroup(
       'GROUP', groupName, consumerName,
       'COUNT', count,
       'BLOCK', blockTime,
-      'STREAMS', streamName, '>'
+      'STREAMS', ...names, ...names.map(() => '>')
     );
     return result || [];
   } catch (error) {
@@ -145,16 +382,364 @@ const readFromConsumerGroup = async (streamName, groupName, consumerName, count
  * Acknowledge message processing
  * @param {string} streamName - Name of the stream
  * @param {string} groupName - Name of the consumer group
- * @param {string} messageId - Message ID to acknowledge
+ * @param {string|Array<string>} messageId - Message ID, or several IDs, to acknowledge
  * @returns {Promise<number>} Number of acknowledged messages
  */
 const acknowledgeMessage = async (streamName, groupName, messageId) => {
+  const messageIds = [].concat(messageId);
   try {
-    const result = await redis.xack(streamName, groupName, messageId);
-    console.log(`✅ Acknowledged message ${messageId} in group ${groupName}`);
+    const result = await redis.xack(streamName, groupName, ...messageIds);
+    eventsAcked.inc({ stream: streamName, consumer_group: groupName }, result);
+    console.log(`✅ Acknowledged message ${messageIds.join(', ')} in group ${groupName}`);
     return result;
   } catch (error) {
-    console.error(`❌ Error acknowledging message ${messageId}:`, error);
+    console.error(`❌ Error acknowledging message ${messageIds.join(', ')}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Claim pending messages that have been idle for too long (XAUTOCLAIM)
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {string} consumerName - Consumer that will take ownership
+ * @param {number} minIdleTime - Minimum idle time in milliseconds
+ * @param {string} startId - Cursor to start scanning the pending entries list from
+ * @param {number} count - Maximum number of entries to claim
+ * @returns {Promise<Object>} { nextId, messages, deletedIds }
+ */
+const autoClaimMessages = async (streamName, groupName, consumerName, minIdleTime, startId = '0-0', count = 10) => {
+  try {
+    const [nextId, messages, deletedIds = []] = await redis.xautoclaim(
+      streamName,
+      groupName,
+      consumerName,
+      minIdleTime,
+      startId,
+      'COUNT', count
+    );
+    return { nextId, messages: messages || [], deletedIds };
+  } catch (error) {
+    console.error(`❌ Error claiming pending messages in group ${groupName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get pending entry details for a single message (XPENDING extended form)
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} { messageId, consumer, idleTime, deliveryCount } or null if not pending
+ */
+const getPendingMessageInfo = async (streamName, groupName, messageId) => {
+  try {
+    const result = await redis.xpending(streamName, groupName, messageId, messageId, 1);
+    if (!result || result.length === 0) {
+      return null;
+    }
+
+    const [id, consumer, idleTime, deliveryCount] = result[0];
+    return { messageId: id, consumer, idleTime, deliveryCount };
+  } catch (error) {
+    console.error(`❌ Error getting pending info for message ${messageId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List pending entries in a consumer group (XPENDING extended form)
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {Object} options - Optional filters
+ * @param {string} options.start - Lowest message ID to include
+ * @param {string} options.end - Highest message ID to include
+ * @param {number} options.count - Maximum number of entries to return
+ * @param {string} options.consumer - Only include entries owned by this consumer
+ * @param {number} options.minIdle - Only include entries idle for at least this many milliseconds
+ * @returns {Promise<Array>} Array of { messageId, consumer, idleTime, deliveryCount }
+ */
+const getPendingMessages = async (streamName, groupName, options = {}) => {
+  const { start = '-', end = '+', count = 100, consumer = null, minIdle = 0 } = options;
+
+  const args = [streamName, groupName];
+  if (minIdle > 0) {
+    args.push('IDLE', minIdle);
+  }
+  args.push(start, end, count);
+  if (consumer) {
+    args.push(consumer);
+  }
+
+  try {
+    const result = await redis.xpending(...args);
+    return result.map(([messageId, owner, idleTime, deliveryCount]) => ({
+      messageId,
+      consumer: owner,
+      idleTime,
+      deliveryCount
+    }));
+  } catch (error) {
+    console.error(`❌ Error listing pending messages in group ${groupName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Transfer ownership of specific pending messages to a consumer (XCLAIM)
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {string} consumerName - Consumer that will take ownership
+ * @param {Array<string>} messageIds - Pending message IDs to claim
+ * @param {number} minIdleTime - Only claim messages idle for at least this many milliseconds
+ * @returns {Promise<Array>} Claimed messages as [id, fields]
+ */
+const claimMessages = async (streamName, groupName, consumerName, messageIds, minIdleTime = 0) => {
+  try {
+    const messages = await redis.xclaim(streamName, groupName, consumerName, minIdleTime, ...messageIds);
+    // Entries trimmed from the stream come back empty
+    const claimed = messages.filter(message => message && message[1]);
+    console.log(`📥 Claimed ${claimed.length} messages in group ${groupName} for ${consumerName}`);
+    return claimed;
+  } catch (error) {
+    console.error(`❌ Error claiming messages in group ${groupName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the dead-letter stream name for a stream
+ * @param {string} streamName - Name of the stream
+ * @returns {string} Dead-letter stream name
+ */
+const getDeadLetterStreamName = (streamName) => `${streamName}:dlq`;
+
+/**
+ * Copy a message to its dead-letter stream and acknowledge it in the group
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group (or simple consumer ID)
+ * @param {string} messageId - Message ID
+ * @param {Array} fields - Original message fields
+ * @param {string} reason - Failure reason
+ * @param {number} attempts - Number of delivery attempts
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.acknowledge - Acknowledge the message in the group (false for simple consumers, which have none)
+ * @returns {Promise<string>} Dead-letter message ID
+ */
+const moveToDeadLetter = async (streamName, groupName, messageId, fields, reason, attempts, { acknowledge = true } = {}) => {
+  const deadLetterStream = getDeadLetterStreamName(streamName);
+
+  try {
+    const transaction = redis.multi()
+      .xadd(
+        deadLetterStream,
+        '*',
+        ...fields,
+        'originalStream', streamName,
+        'originalId', messageId,
+        'consumerGroup', groupName,
+        'failureReason', reason,
+        'attempts', attempts,
+        'deadLetteredAt', Date.now()
+      );
+    if (acknowledge) {
+      transaction.xack(streamName, groupName, messageId);
+    }
+    const [[addError, deadLetterId], [ackError] = []] = await transaction.exec();
+
+    if (addError || ackError) {
+      throw addError || ackError;
+    }
+
+    console.log(`☠️ Moved message ${messageId} to ${deadLetterStream} after ${attempts} attempts (ID: ${deadLetterId})`);
+    return deadLetterId;
+  } catch (error) {
+    console.error(`❌ Error moving message ${messageId} to dead-letter stream:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Put a dead-lettered message back on its original stream
+ * @param {string} streamName - Name of the original stream
+ * @param {string} deadLetterId - Message ID in the dead-letter stream
+ * @returns {Promise<string|null>} New message ID, or null if the entry does not exist
+ */
+const requeueDeadLetter = async (streamName, deadLetterId) => {
+  const deadLetterStream = getDeadLetterStreamName(streamName);
+
+  try {
+    const entries = await redis.xrange(deadLetterStream, deadLetterId, deadLetterId);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const [, fields] = entries[0];
+    const originalFields = [];
+    for (let i = 0; i < fields.length; i += 2) {
+      if (!DEAD_LETTER_FIELDS.includes(fields[i]) && !REQUEUE_RESET_FIELDS.includes(fields[i])) {
+        originalFields.push(fields[i], fields[i + 1]);
+      }
+    }
+
+    // Add and delete together, so the entry never ends up in both streams
+    const [[addError, messageId], [delError]] = await redis.multi()
+      .xadd(streamName, ...getInlineTrimArgs(streamName), '*', ...originalFields)
+      .xdel(deadLetterStream, deadLetterId)
+      .exec();
+
+    if (addError || delError) {
+      throw addError || delError;
+    }
+
+    console.log(`🔁 Requeued dead-letter message ${deadLetterId} to ${streamName} (ID: ${messageId})`);
+    return messageId;
+  } catch (error) {
+    console.error(`❌ Error requeueing dead-letter message ${deadLetterId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Destroy a consumer group
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @returns {Promise<boolean>} True if the group existed
+ */
+const destroyConsumerGroup = async (streamName, groupName) => {
+  try {
+    const result = await redis.xgroup('DESTROY', streamName, groupName);
+    console.log(`🗑️ Destroyed consumer group ${groupName} for stream ${streamName}`);
+    return result === 1;
+  } catch (error) {
+    console.error(`❌ Error destroying consumer group ${groupName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a consumer from a consumer group. Its pending entries are dropped.
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {string} consumerName - Name of the consumer
+ * @returns {Promise<number>} Number of pending entries the consumer had
+ */
+const deleteConsumer = async (streamName, groupName, consumerName) => {
+  try {
+    const pending = await redis.xgroup('DELCONSUMER', streamName, groupName, consumerName);
+    console.log(`🗑️ Deleted consumer ${consumerName} from group ${groupName} (${pending} pending dropped)`);
+    return pending;
+  } catch (error) {
+    console.error(`❌ Error deleting consumer ${consumerName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set a consumer group's last-delivered ID
+ * @param {string} streamName - Name of the stream
+ * @param {string} groupName - Name of the consumer group
+ * @param {string} lastId - New last-delivered ID ('$' for the end of the stream)
+ */
+const setConsumerGroupId = async (streamName, groupName, lastId) => {
+  try {
+    await redis.xgroup('SETID', streamName, groupName, lastId);
+    console.log(`⏪ Reset consumer group ${groupName} on ${streamName} to ${lastId}`);
+  } catch (error) {
+    console.error(`❌ Error resetting consumer group ${groupName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the largest stream ID that sorts before a wall-clock time, so that
+ * entries added at or after the timestamp come after it
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {string} Stream ID
+ */
+const getStreamIdBefore = (timestamp) => {
+  if (timestamp <= 0) {
+    return '0-0';
+  }
+  return `${timestamp - 1}-${MAX_SEQUENCE}`;
+};
+
+/**
+ * Compare two stream IDs
+ * @param {string} a - Stream ID
+ * @param {string} b - Stream ID
+ * @returns {number} Negative if a sorts before b, positive if after, 0 if equal
+ */
+const compareStreamIds = (a, b) => {
+  const [aMs, aSeq = '0'] = a.split('-');
+  const [bMs, bSeq = '0'] = b.split('-');
+
+  const msDiff = BigInt(aMs) - BigInt(bMs);
+  if (msDiff !== 0n) {
+    return msDiff < 0n ? -1 : 1;
+  }
+
+  const seqDiff = BigInt(aSeq) - BigInt(bSeq);
+  return seqDiff === 0n ? 0 : (seqDiff < 0n ? -1 : 1);
+};
+
+/**
+ * Get the smallest stream ID that sorts after the given one
+ * @param {string} id - Stream ID
+ * @returns {string} Next stream ID
+ */
+const getNextStreamId = (id) => {
+  const [ms, seq = '0'] = id.split('-');
+  if (BigInt(seq) === MAX_SEQUENCE) {
+    return `${BigInt(ms) + 1n}-0`;
+  }
+  return `${ms}-${BigInt(seq) + 1n}`;
+};
+
+/**
+ * Count stream entries with an ID greater than the given one. Counting
+ * pages through the stream, so it stops after `limit` entries; callers
+ * that can read a group's lag from XINFO GROUPS should use that instead.
+ * @param {string} streamName - Name of the stream
+ * @param {string} afterId - Exclusive lower bound ('$' for the end, '0' for the beginning)
+ * @param {number} limit - Most entries counted before giving up
+ * @returns {Promise<Object>} { count, exact }; exact is false when the count stopped at the limit
+ */
+const countEntriesAfter = async (streamName, afterId, limit = COUNT_ENTRIES_LIMIT) => {
+  if (afterId === '$') {
+    return { count: 0, exact: true };
+  }
+
+  const pageSize = 1000;
+  let count = 0;
+  let cursor = afterId;
+
+  try {
+    // Everything is after an ID older than the first entry
+    const [first] = await redis.xrange(streamName, '-', '+', 'COUNT', 1);
+    if (!first) {
+      return { count: 0, exact: true };
+    }
+    if (afterId === '0' || compareStreamIds(afterId, first[0]) < 0) {
+      return { count: await redis.xlen(streamName), exact: true };
+    }
+
+    while (count < limit) {
+      const size = Math.min(pageSize, limit - count);
+      const entries = await redis.xrange(streamName, `(${cursor}`, '+', 'COUNT', size);
+      count += entries.length;
+
+      if (entries.length < size) {
+        return { count, exact: true };
+      }
+      cursor = entries[entries.length - 1][0];
+    }
+
+    // Exactly at the limit: one more entry means the count is incomplete
+    const next = await redis.xrange(streamName, `(${cursor}`, '+', 'COUNT', 1);
+    return { count, exact: next.length === 0 };
+  } catch (error) {
+    console.error(`❌ Error counting entries in ${streamName}:`, error);
     throw error;
   }
 };
@@ -193,12 +778,31 @@ const getConsumerGroupInfo = async (streamName, groupName) => {
 module.exports = {
   STREAMS,
   EVENT_TYPES,
+  BATCH_MODES,
+  buildEntryFields,
+  getXaddArgs,
   addToStream,
+  addBatchToStreams,
+  parseMessageFields,
   readFromStream,
   readFromStreams,
   createConsumerGroup,
   readFromConsumerGroup,
   acknowledgeMessage,
+  autoClaimMessages,
+  getPendingMessageInfo,
+  getPendingMessages,
+  claimMessages,
+  getDeadLetterStreamName,
+  moveToDeadLetter,
+  requeueDeadLetter,
+  destroyConsumerGroup,
+  deleteConsumer,
+  setConsumerGroupId,
+  getStreamIdBefore,
+  compareStreamIds,
+  getNextStreamId,
+  countEntriesAfter,
   getStreamInfo,
   getConsumerGroupInfo
 };
@@ -0,0 +1,87 @@
+// Version written for event types that have no upcasters, and assumed for
+// entries written before schemaVersion was added to stream entries
+const INITIAL_SCHEMA_VERSION = 1;
+
+// Upcasters per event type, keyed by the version they convert from. Each
+// takes a payload of that version and returns the payload of the next one,
+// so the current version of an event type is one past its highest upcaster.
+// Producers and consumers both load this module, so registering an upcaster
+// here also makes producers write the new version. Example:
+//
+//   // v2 nests the changed fields under changes.after
+//   registerUpcaster('user.updated', 1, (payload) => ({
+//     ...payload,
+//     changes: { after: payload.changes }
+//   }));
+const upcasters = new Map();
+
+/**
+ * Register an upcaster converting an event type's payload to the next version
+ * @param {string} eventType - Event type
+ * @param {number} fromVersion - Version the upcaster converts from
+ * @param {Function} upcaster - (payload) => payload of version fromVersion + 1
+ */
+const registerUpcaster = (eventType, fromVersion, upcaster) => {
+  if (!Number.isInteger(fromVersion) || fromVersion < INITIAL_SCHEMA_VERSION) {
+    throw new Error(`Invalid upcaster version for ${eventType}: ${fromVersion}`);
+  }
+  if (typeof upcaster !== 'function') {
+    throw new Error(`Upcaster for ${eventType} v${fromVersion} must be a function`);
+  }
+
+  if (!upcasters.has(eventType)) {
+    upcasters.set(eventType, new Map());
+  }
+  upcasters.get(eventType).set(fromVersion, upcaster);
+};
+
+/**
+ * Get the payload version producers write for an event type
+ * @param {string} eventType - Event type
+ * @returns {number} Current schema version
+ */
+const getCurrentVersion = (eventType) => {
+  const chain = upcasters.get(eventType);
+  if (!chain || chain.size === 0) {
+    return INITIAL_SCHEMA_VERSION;
+  }
+  return Math.max(...chain.keys()) + 1;
+};
+
+/**
+ * Convert a payload to the current version of its event type
+ * @param {string} eventType - Event type
+ * @param {number} schemaVersion - Version the payload was written with
+ * @param {Object} payload - Event payload
+ * @returns {Object} { payload, schemaVersion } at the current version
+ * @throws {Error} If the payload is newer than this process knows, or an upcaster is missing
+ */
+const upcast = (eventType, schemaVersion, payload) => {
+  const currentVersion = getCurrentVersion(eventType);
+
+  // Written by a newer producer; fail so the entry is retried once this
+  // consumer is upgraded instead of being handled in the wrong shape
+  if (schemaVersion > currentVersion) {
+    throw new Error(`${eventType} payload version ${schemaVersion} is newer than the supported version ${currentVersion}`);
+  }
+
+  let version = schemaVersion;
+  let upcasted = payload;
+  while (version < currentVersion) {
+    const upcaster = upcasters.get(eventType).get(version);
+    if (!upcaster) {
+      throw new Error(`No upcaster registered for ${eventType} v${version}`);
+    }
+    upcasted = upcaster(upcasted);
+    version++;
+  }
+
+  return { payload: upcasted, schemaVersion: version };
+};
+
+module.exports = {
+  INITIAL_SCHEMA_VERSION,
+  registerUpcaster,
+  getCurrentVersion,
+  upcast
+};